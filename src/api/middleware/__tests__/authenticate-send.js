@@ -0,0 +1,103 @@
+import authenticateSend from "../authenticate-send"
+
+const mockAdminAuth = jest.fn((req, res, next) => next())
+
+// the Medusa server provides these packages
+jest.mock("@medusajs/medusa", () => ({ authenticate: () => mockAdminAuth }), {
+  virtual: true,
+})
+jest.mock("medusa-core-utils", () => {
+  class MedusaError extends Error {
+    constructor(type, message) {
+      super(message)
+      this.type = type
+    }
+  }
+  MedusaError.Types = { UNAUTHORIZED: "unauthorized" }
+  return { MedusaError }
+})
+
+const createRequest = (headers, smtpApiKeyService) => ({
+  rawBody: Buffer.from("{}"),
+  get: (name) => headers[name.toLowerCase()],
+  scope: { resolve: () => smtpApiKeyService },
+})
+
+const run = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, resolve))
+
+describe("authenticateSend", () => {
+  let smtpApiKeyService
+  let middleware
+
+  beforeEach(() => {
+    mockAdminAuth.mockClear()
+    smtpApiKeyService = { authenticate: jest.fn() }
+    middleware = authenticateSend()
+  })
+
+  it("requires an admin session without API key headers", async () => {
+    const req = createRequest({}, smtpApiKeyService)
+
+    await expect(run(middleware, req)).resolves.toBeUndefined()
+    expect(mockAdminAuth).toHaveBeenCalledTimes(1)
+    expect(smtpApiKeyService.authenticate).not.toHaveBeenCalled()
+    expect(req.smtpApiKey).toBeUndefined()
+  })
+
+  it("authenticates a bearer key without an admin session", async () => {
+    const key = { id: "shop" }
+    smtpApiKeyService.authenticate.mockResolvedValue(key)
+    const req = createRequest(
+      { "x-smtp-api-key": "shop-secret" },
+      smtpApiKeyService
+    )
+
+    await expect(run(middleware, req)).resolves.toBeUndefined()
+    expect(mockAdminAuth).not.toHaveBeenCalled()
+    expect(smtpApiKeyService.authenticate).toHaveBeenCalledWith(
+      expect.objectContaining({ token: "shop-secret" })
+    )
+    expect(req.smtpApiKey).toBe(key)
+  })
+
+  it("passes the signature headers and the raw body", async () => {
+    smtpApiKeyService.authenticate.mockResolvedValue({ id: "shop" })
+    const req = createRequest(
+      {
+        "x-smtp-key-id": "shop",
+        "x-smtp-timestamp": "1760000000000",
+        "x-smtp-signature": "abc",
+      },
+      smtpApiKeyService
+    )
+
+    await run(middleware, req)
+    expect(smtpApiKeyService.authenticate).toHaveBeenCalledWith({
+      token: undefined,
+      keyId: "shop",
+      timestamp: "1760000000000",
+      signature: "abc",
+      body: req.rawBody,
+    })
+  })
+
+  it("refuses an invalid key without falling back to the admin session", async () => {
+    smtpApiKeyService.authenticate.mockResolvedValue(null)
+    const req = createRequest({ "x-smtp-api-key": "wrong" }, smtpApiKeyService)
+
+    const err = await run(middleware, req)
+    expect(err.type).toEqual("unauthorized")
+    expect(err.message).toEqual("Invalid API key or signature")
+    expect(mockAdminAuth).not.toHaveBeenCalled()
+    expect(req.smtpApiKey).toBeUndefined()
+  })
+
+  it("passes errors of the lookup on", async () => {
+    const failure = new Error("database is down")
+    smtpApiKeyService.authenticate.mockRejectedValue(failure)
+    const req = createRequest({ "x-smtp-key-id": "shop" }, smtpApiKeyService)
+
+    await expect(run(middleware, req)).resolves.toBe(failure)
+  })
+})
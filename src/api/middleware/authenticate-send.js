@@ -0,0 +1,46 @@
+import { authenticate } from "@medusajs/medusa"
+import { MedusaError } from "medusa-core-utils"
+
+/**
+ * Lets a request through with either an API key from the `apiKeys` option or
+ * an admin session. The key is either sent in the `X-Smtp-Api-Key` header or
+ * signs the body, see `SmtpApiKeyService.authenticate`. The body must have
+ * been parsed with its raw version kept in `req.rawBody`.
+ */
+export default () => {
+  const authenticateAdmin = authenticate()
+
+  return async (req, res, next) => {
+    const token = req.get("x-smtp-api-key")
+    const keyId = req.get("x-smtp-key-id")
+    if (!token && !keyId) {
+      return authenticateAdmin(req, res, next)
+    }
+
+    const smtpApiKeyService = req.scope.resolve("smtpApiKeyService")
+    let apiKey
+    try {
+      apiKey = await smtpApiKeyService.authenticate({
+        token,
+        keyId,
+        timestamp: req.get("x-smtp-timestamp"),
+        signature: req.get("x-smtp-signature"),
+        body: req.rawBody,
+      })
+    } catch (err) {
+      return next(err)
+    }
+
+    if (!apiKey) {
+      return next(
+        new MedusaError(
+          MedusaError.Types.UNAUTHORIZED,
+          "Invalid API key or signature"
+        )
+      )
+    }
+
+    req.smtpApiKey = apiKey
+    next()
+  }
+}
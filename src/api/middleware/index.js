@@ -1,5 +1,7 @@
 import { default as wrap } from "./await-middleware"
+import { default as authenticateSend } from "./authenticate-send"
 
 export default {
   wrap,
+  authenticateSend,
 }
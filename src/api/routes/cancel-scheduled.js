@@ -0,0 +1,6 @@
+export default async (req, res) => {
+  const smtpScheduleService = req.scope.resolve("smtpScheduleService")
+  const scheduled = await smtpScheduleService.cancel(req.params.id)
+
+  res.json({ scheduled })
+}
@@ -0,0 +1,25 @@
+const escape = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+export default async (req, res) => {
+  const token = req.query.token
+
+  const smtpSuppressionService = req.scope.resolve("smtpSuppressionService")
+  const { email, scope } = smtpSuppressionService.verifyUnsubscribeToken(token)
+
+  res.type("html").send(`<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="robots" content="noindex"><title>Unsubscribe</title></head>
+<body>
+<p>Stop sending ${scope ? "these emails" : "all emails"} to ${escape(email)}?</p>
+<form method="post" action="unsubscribe">
+<input type="hidden" name="token" value="${escape(token)}">
+<button type="submit">Unsubscribe</button>
+</form>
+</body>
+</html>`)
+}
@@ -0,0 +1,19 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object().keys({
+    email: Validator.string().email().required(),
+    scope: Validator.string().allow(null).default(null),
+    reason: Validator.string().allow(null).default(null),
+  })
+
+  const { value, error } = schema.validate(req.body)
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  const smtpSuppressionService = req.scope.resolve("smtpSuppressionService")
+  const suppression = await smtpSuppressionService.create(value)
+
+  res.json({ suppression })
+}
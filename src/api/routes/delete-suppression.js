@@ -0,0 +1,10 @@
+export default async (req, res) => {
+  const smtpSuppressionService = req.scope.resolve("smtpSuppressionService")
+  await smtpSuppressionService.delete(req.params.id)
+
+  res.json({
+    id: req.params.id,
+    object: "smtp_suppression",
+    deleted: true,
+  })
+}
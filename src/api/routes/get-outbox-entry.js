@@ -0,0 +1,6 @@
+export default async (req, res) => {
+  const smtpOutboxService = req.scope.resolve("smtpOutboxService")
+  const message = await smtpOutboxService.retrieve(req.params.id)
+
+  res.json({ message })
+}
@@ -0,0 +1,9 @@
+export default async (req, res) => {
+  const smtpPreviewService = req.scope.resolve("smtpPreviewService")
+  const file = await smtpPreviewService.getFile(req.params.id, req.params.type)
+
+  if (req.params.type === "eml") {
+    return res.download(file)
+  }
+  res.type("html").sendFile(file)
+}
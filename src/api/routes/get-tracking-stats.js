@@ -0,0 +1,18 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object().keys({
+    template: Validator.string().optional(),
+    event: Validator.string().optional(),
+  })
+
+  const { value, error } = schema.validate(req.query)
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  const smtpTrackingService = req.scope.resolve("smtpTrackingService")
+  const stats = await smtpTrackingService.getStats(value)
+
+  res.json({ stats })
+}
@@ -1,5 +1,6 @@
 import { Router } from "express"
 import bodyParser from "body-parser"
+import { authenticate } from "@medusajs/medusa"
 import middlewares from "../middleware"
 
 const route = Router()
@@ -9,8 +10,139 @@ export default (app) => {
 
   route.post(
     "/send",
-    bodyParser.raw({ type: "application/json" }),
+    bodyParser.json({
+      // signed requests are verified against the body as it was sent
+      verify: (req, res, buf) => {
+        req.rawBody = buf
+      },
+    }),
+    middlewares.authenticateSend(),
     middlewares.wrap(require("./send-email").default)
   )
+
+  route.post(
+    "/send/batch",
+    bodyParser.json({
+      limit: "5mb",
+      verify: (req, res, buf) => {
+        req.rawBody = buf
+      },
+    }),
+    middlewares.authenticateSend(),
+    middlewares.wrap(require("./send-batch").default)
+  )
+
+  route.get(
+    "/templates",
+    authenticate(),
+    middlewares.wrap(require("./list-templates").default)
+  )
+
+  route.get(
+    "/preview/:event",
+    authenticate(),
+    middlewares.wrap(require("./preview-email").default)
+  )
+
+  route.post(
+    "/preview/:event",
+    authenticate(),
+    bodyParser.json(),
+    middlewares.wrap(require("./preview-email").default)
+  )
+
+  route.get(
+    "/outbox",
+    authenticate(),
+    middlewares.wrap(require("./list-outbox").default)
+  )
+
+  route.get(
+    "/outbox/:id",
+    authenticate(),
+    middlewares.wrap(require("./get-outbox-entry").default)
+  )
+
+  route.get(
+    "/scheduled",
+    authenticate(),
+    middlewares.wrap(require("./list-scheduled").default)
+  )
+
+  route.post(
+    "/scheduled/:id/cancel",
+    authenticate(),
+    middlewares.wrap(require("./cancel-scheduled").default)
+  )
+
+  route.get(
+    "/suppressions",
+    authenticate(),
+    middlewares.wrap(require("./list-suppressions").default)
+  )
+
+  route.post(
+    "/suppressions",
+    authenticate(),
+    bodyParser.json(),
+    middlewares.wrap(require("./create-suppression").default)
+  )
+
+  route.delete(
+    "/suppressions/:id",
+    authenticate(),
+    middlewares.wrap(require("./delete-suppression").default)
+  )
+
+  route.post(
+    "/bounces",
+    bodyParser.json(),
+    bodyParser.text({
+      type: ["message/*", "multipart/*", "text/*"],
+      limit: "10mb",
+    }),
+    middlewares.wrap(require("./receive-bounces").default)
+  )
+
+  route.get(
+    "/tracking",
+    authenticate(),
+    middlewares.wrap(require("./get-tracking-stats").default)
+  )
+
+  route.get(
+    "/track/open/:token",
+    middlewares.wrap(require("./track-open").default)
+  )
+
+  route.get(
+    "/track/click/:token",
+    middlewares.wrap(require("./track-click").default)
+  )
+
+  route.get(
+    "/previews",
+    authenticate(),
+    middlewares.wrap(require("./list-previews").default)
+  )
+
+  route.get(
+    "/previews/:id/:type(html|eml)",
+    authenticate(),
+    middlewares.wrap(require("./get-preview-file").default)
+  )
+
+  // link scanners and prefetching follow links, so opening the link only
+  // asks for a confirmation
+  route.get(
+    "/unsubscribe",
+    middlewares.wrap(require("./confirm-unsubscribe").default)
+  )
+
+  route.post(
+    "/unsubscribe",
+    bodyParser.urlencoded({ extended: false }),
+    middlewares.wrap(require("./unsubscribe").default)
+  )
   return app
 }
@@ -0,0 +1,29 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object().keys({
+    event: Validator.string().optional(),
+    order_id: Validator.string().optional(),
+    email: Validator.string().optional(),
+    status: Validator.string().optional(),
+    message_id: Validator.string().optional(),
+    q: Validator.string().optional(),
+    offset: Validator.number().integer().min(0).default(0),
+    limit: Validator.number().integer().min(1).default(50),
+  })
+
+  const { value, error } = schema.validate(req.query)
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  const { offset, limit, ...selector } = value
+
+  const smtpOutboxService = req.scope.resolve("smtpOutboxService")
+  const [messages, count] = await smtpOutboxService.listAndCount(selector, {
+    skip: offset,
+    take: limit,
+  })
+
+  res.json({ messages, count, offset, limit })
+}
@@ -0,0 +1,41 @@
+const escape = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+export default async (req, res) => {
+  const smtpPreviewService = req.scope.resolve("smtpPreviewService")
+  const previews = await smtpPreviewService.list()
+
+  if (req.query.format === "json") {
+    return res.json({ previews })
+  }
+
+  const rows = previews
+    .map(
+      (p) => `<tr>
+  <td>${escape(new Date(p.created_at).toLocaleString())}</td>
+  <td>${escape(p.to.join(", "))}</td>
+  <td>${escape(p.subject)}</td>
+  <td>${escape(p.template)}${p.event ? ` (${escape(p.event)})` : ""}</td>
+  <td>${
+    p.html ? `<a href="previews/${escape(p.id)}/html">html</a> ` : ""
+  }<a href="previews/${escape(p.id)}/eml">eml</a></td>
+</tr>`
+    )
+    .join("\n")
+
+  res.type("html").send(`<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Captured emails</title></head>
+<body>
+<h1>Captured emails (${previews.length})</h1>
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><th>Date</th><th>To</th><th>Subject</th><th>Template</th><th></th></tr>
+${rows}
+</table>
+</body>
+</html>`)
+}
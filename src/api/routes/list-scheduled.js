@@ -0,0 +1,37 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object().keys({
+    status: Validator.string()
+      .valid(
+        "scheduled",
+        "processing",
+        "sent",
+        "suppressed",
+        "retried",
+        "failed",
+        "canceled"
+      )
+      .default("scheduled"),
+    event: Validator.string().optional(),
+    batch_id: Validator.string().optional(),
+    email: Validator.string().optional(),
+    offset: Validator.number().integer().min(0).default(0),
+    limit: Validator.number().integer().min(1).default(50),
+  })
+
+  const { value, error } = schema.validate(req.query)
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  const { offset, limit, ...selector } = value
+
+  const smtpScheduleService = req.scope.resolve("smtpScheduleService")
+  const [scheduled, count] = await smtpScheduleService.listAndCount(selector, {
+    skip: offset,
+    take: limit,
+  })
+
+  res.json({ scheduled, count, offset, limit })
+}
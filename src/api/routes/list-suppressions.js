@@ -0,0 +1,26 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object().keys({
+    email: Validator.string().optional(),
+    scope: Validator.string().optional(),
+    reason: Validator.string().optional(),
+    offset: Validator.number().integer().min(0).default(0),
+    limit: Validator.number().integer().min(1).default(50),
+  })
+
+  const { value, error } = schema.validate(req.query)
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  const { offset, limit, ...selector } = value
+
+  const smtpSuppressionService = req.scope.resolve("smtpSuppressionService")
+  const [suppressions, count] = await smtpSuppressionService.listAndCount(
+    selector,
+    { skip: offset, take: limit }
+  )
+
+  res.json({ suppressions, count, offset, limit })
+}
@@ -0,0 +1,6 @@
+export default async (req, res) => {
+  const smtpService = req.scope.resolve("smtpService")
+  const { valid, templates } = smtpService.validateTemplates()
+
+  res.json({ valid, templates })
+}
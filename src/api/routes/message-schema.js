@@ -0,0 +1,91 @@
+import { Validator } from "medusa-core-utils"
+
+/**
+ * One address, a comma separated list of addresses or an array of addresses.
+ */
+export const recipientsSchema = () =>
+  Validator.alternatives().try(
+    Validator.string().email({ multiple: true }),
+    Validator.array().items(Validator.string().email()).min(1)
+  )
+
+/**
+ * Headers nodemailer takes the sender or the recipients of the envelope from,
+ * they are only set through the options of the same name.
+ */
+const ADDRESS_HEADERS = [
+  "from",
+  "sender",
+  "reply-to",
+  "to",
+  "cc",
+  "bcc",
+  "x-original-to",
+  "return-path",
+]
+
+const headerName = () =>
+  Validator.string()
+    .pattern(/^[A-Za-z0-9-]+$/)
+    .invalid(...ADDRESS_HEADERS)
+    .insensitive()
+
+/**
+ * Keys of the email options accepted by the send routes, in snake case.
+ */
+export const messageKeys = () => ({
+  template_id: Validator.string().required(),
+  from: Validator.string().optional(),
+  cc: recipientsSchema().optional(),
+  bcc: recipientsSchema().optional(),
+  reply_to: Validator.string().optional(),
+  subject: Validator.string().optional(),
+  headers: Validator.object()
+    .pattern(headerName(), Validator.string())
+    .optional(),
+  attachments: Validator.array()
+    .items(
+      Validator.object()
+        .keys({
+          filename: Validator.string().required(),
+          content_type: Validator.string().optional(),
+          content: Validator.string().base64().optional(),
+          url: Validator.string()
+            .uri({ scheme: ["http", "https"] })
+            .optional(),
+        })
+        .xor("content", "url")
+    )
+    .optional(),
+  locale: Validator.string().optional(),
+  data: Validator.object().optional().default({}),
+  send_at: Validator.date().optional(),
+  delay: Validator.alternatives()
+    .try(Validator.number().min(0), Validator.string())
+    .optional(),
+})
+
+/**
+ * Converts the validated body of a send route to the options of
+ * `SmtpService.sendEmail`.
+ */
+export const toSendOptions = (value) => ({
+  templateName: value.template_id,
+  from: value.from,
+  to: value.to,
+  cc: value.cc,
+  bcc: value.bcc,
+  replyTo: value.reply_to,
+  subject: value.subject,
+  headers: value.headers,
+  attachments: value.attachments?.map((a) => ({
+    filename: a.filename,
+    contentType: a.content_type,
+    content: a.content,
+    url: a.url,
+  })),
+  locale: value.locale,
+  data: value.data,
+  send_at: value.send_at,
+  delay: value.delay,
+})
@@ -0,0 +1,47 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const schema = Validator.object()
+    .keys({
+      format: Validator.string().valid("json", "html", "text").default("json"),
+      locale: Validator.string().optional(),
+      data: Validator.object().optional(),
+    })
+    .unknown()
+
+  const { value, error } = schema.validate({ ...req.query, ...req.body })
+  if (error) {
+    throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
+  }
+
+  // the service checks the event data the event needs when no fixture is given
+  const { format, locale, data, ...eventData } = value
+
+  const smtpService = req.scope.resolve("smtpService")
+  const preview = await smtpService.previewNotification(
+    req.params.event,
+    eventData,
+    data,
+    locale
+  )
+
+  switch (format) {
+    case "html":
+      res.type("html").send(preview.html || "")
+      break
+    case "text":
+      res.type("text").send(preview.text || "")
+      break
+    default:
+      res.json({
+        from: preview.from,
+        to: preview.to,
+        reply_to: preview.replyTo,
+        cc: preview.cc,
+        bcc: preview.bcc,
+        subject: preview.subject,
+        html: preview.html,
+        text: preview.text,
+      })
+  }
+}
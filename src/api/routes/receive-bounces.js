@@ -0,0 +1,22 @@
+import { MedusaError } from "medusa-core-utils"
+import { parseDsn, parseWebhookEvents } from "../../utils/dsn"
+
+export default async (req, res) => {
+  const smtpService = req.scope.resolve("smtpService")
+
+  const token = req.query.token || req.get("x-smtp-bounce-token")
+  if (!smtpService.verifyBounceToken(token)) {
+    throw new MedusaError(
+      MedusaError.Types.UNAUTHORIZED,
+      "Invalid bounce token"
+    )
+  }
+
+  // raw reports are parsed as text, webhook events as json
+  const reports =
+    typeof req.body === "string"
+      ? parseDsn(req.body)
+      : parseWebhookEvents(req.body)
+
+  res.json({ reports: await smtpService.processDeliveryReports(reports) })
+}
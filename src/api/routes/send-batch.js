@@ -0,0 +1,46 @@
+import { Validator, MedusaError } from "medusa-core-utils"
+import { messageKeys, toSendOptions } from "./message-schema"
+
+export default async (req, res) => {
+  // copies are not sent to the same addresses for every recipient
+  const { cc, bcc, ...keys } = messageKeys()
+  const schema = Validator.object().keys({
+    ...keys,
+    recipients: Validator.array()
+      .items(
+        Validator.object().keys({
+          to: Validator.string().email().required(),
+          data: Validator.object().optional().default({}),
+        })
+      )
+      .min(1)
+      .max(1000)
+      .required(),
+  })
+
+  // every recipient is validated before anything is sent
+  const { value, error } = schema.validate(req.body, { abortEarly: false })
+  if (error) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      error.details.map((d) => d.message).join(", ")
+    )
+  }
+
+  if (req.smtpApiKey) {
+    const smtpApiKeyService = req.scope.resolve("smtpApiKeyService")
+    smtpApiKeyService.authorize(req.smtpApiKey, {
+      ...value,
+      recipients: value.recipients.map((r) => r.to),
+    })
+  }
+
+  // the recipients are queued, sending them may take longer than a request
+  const smtpService = req.scope.resolve("smtpService")
+  const result = await smtpService.sendBatch({
+    ...toSendOptions(value),
+    recipients: value.recipients,
+  })
+
+  res.status(202).json(result)
+}
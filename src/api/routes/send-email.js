@@ -1,11 +1,10 @@
 import { Validator, MedusaError } from "medusa-core-utils"
+import { messageKeys, recipientsSchema, toSendOptions } from "./message-schema"
 
 export default async (req, res) => {
   const schema = Validator.object().keys({
-    template_id: Validator.string().required(),
-    from: Validator.string().required(),
-    to: Validator.string().required(),
-    data: Validator.object().optional().default({}),
+    ...messageKeys(),
+    to: recipientsSchema().required(),
   })
 
   const { value, error } = schema.validate(req.body)
@@ -13,15 +12,32 @@ export default async (req, res) => {
     throw new MedusaError(MedusaError.Types.INVALID_DATA, error.details)
   }
 
+  // admins may send anything, API keys only what they are allowed to
+  if (req.smtpApiKey) {
+    const smtpApiKeyService = req.scope.resolve("smtpApiKeyService")
+    smtpApiKeyService.authorize(req.smtpApiKey, {
+      ...value,
+      recipients: [value.to, value.cc, value.bcc].flat(),
+    })
+  }
+
   try {
     const smtpService = req.scope.resolve("smtpService")
-    await smtpService.sendEmail(
-      value.template_id,
-      value.from,
-      value.to,
-      value.data
-    )
-    res.sendStatus(200)
+    const result = await smtpService.sendEmail(toSendOptions(value))
+
+    if (result.status === "scheduled") {
+      return res.json({
+        status: result.status,
+        schedule_id: result.schedule_id,
+        send_at: result.send_at,
+      })
+    }
+
+    res.json({
+      status: result.status,
+      message_id: result.message_id,
+      delivery: result.delivery,
+    })
   } catch (err) {
     throw err
   }
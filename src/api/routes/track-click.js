@@ -0,0 +1,12 @@
+import { MedusaError } from "medusa-core-utils"
+
+export default async (req, res) => {
+  const smtpTrackingService = req.scope.resolve("smtpTrackingService")
+  const url = await smtpTrackingService.recordClick(req.params.token)
+  if (!url) {
+    throw new MedusaError(MedusaError.Types.NOT_FOUND, "Link not found")
+  }
+
+  res.set("Cache-Control", "no-store")
+  res.redirect(302, url)
+}
@@ -0,0 +1,14 @@
+// transparent 1x1 gif
+const PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+)
+
+export default async (req, res) => {
+  const smtpTrackingService = req.scope.resolve("smtpTrackingService")
+  await smtpTrackingService.recordOpen(req.params.token)
+
+  // the pixel is always returned, so a broken image never shows in the email
+  res.set("Cache-Control", "no-store, no-cache, must-revalidate, private")
+  res.type("gif").send(PIXEL)
+}
@@ -0,0 +1,10 @@
+export default async (req, res) => {
+  // one-click unsubscribes (RFC 8058) POST to the url of the
+  // List-Unsubscribe header, a form may also post the token
+  const token = req.query.token || req.body?.token
+
+  const smtpSuppressionService = req.scope.resolve("smtpSuppressionService")
+  await smtpSuppressionService.unsubscribe(token)
+
+  res.type("text").send("You have been unsubscribed.")
+}
@@ -0,0 +1,146 @@
+/**
+ * Creates the tables of the outbox, the suppressions, the scheduled emails,
+ * the cart reminders and the captured previews.
+ */
+export class smtpStorage1760832000000 {
+  name = 'smtpStorage1760832000000'
+
+  async up(queryRunner) {
+    await queryRunner.query(`
+      CREATE TABLE "smtp_outbox_entry" (
+        "id" character varying NOT NULL,
+        "event" character varying,
+        "template" character varying,
+        "from" character varying,
+        "to" jsonb NOT NULL DEFAULT '[]',
+        "cc" jsonb NOT NULL DEFAULT '[]',
+        "bcc" jsonb NOT NULL DEFAULT '[]',
+        "recipients" jsonb NOT NULL DEFAULT '[]',
+        "subject" character varying,
+        "order_id" character varying,
+        "status" character varying NOT NULL,
+        "attempts" integer NOT NULL DEFAULT 0,
+        "transport" character varying,
+        "next_attempt_at" TIMESTAMP WITH TIME ZONE,
+        "message_id" character varying,
+        "response" text,
+        "response_code" integer,
+        "accepted" jsonb NOT NULL DEFAULT '[]',
+        "rejected" jsonb NOT NULL DEFAULT '[]',
+        "suppressed" jsonb NOT NULL DEFAULT '[]',
+        "bounces" jsonb NOT NULL DEFAULT '[]',
+        "tracked" boolean NOT NULL DEFAULT false,
+        "opens" integer NOT NULL DEFAULT 0,
+        "clicks" integer NOT NULL DEFAULT 0,
+        "opened_at" TIMESTAMP WITH TIME ZONE,
+        "clicked_at" TIMESTAMP WITH TIME ZONE,
+        "preview_id" character varying,
+        "error" text,
+        "error_code" character varying,
+        "sent_at" TIMESTAMP WITH TIME ZONE,
+        "failed_at" TIMESTAMP WITH TIME ZONE,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_outbox_entry" PRIMARY KEY ("id")
+      )
+    `)
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_outbox_entry_created_at" ON "smtp_outbox_entry" ("created_at")`
+    )
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_outbox_entry_message_id" ON "smtp_outbox_entry" ("message_id")`
+    )
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_outbox_entry_order_id" ON "smtp_outbox_entry" ("order_id")`
+    )
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_outbox_entry_recipients" ON "smtp_outbox_entry" USING GIN ("recipients")`
+    )
+
+    await queryRunner.query(`
+      CREATE TABLE "smtp_suppression" (
+        "id" character varying NOT NULL,
+        "email" character varying NOT NULL,
+        "scope" character varying,
+        "reason" character varying,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_suppression" PRIMARY KEY ("id")
+      )
+    `)
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_suppression_email" ON "smtp_suppression" ("email")`
+    )
+    // an address is suppressed once per scope, the global scope included
+    await queryRunner.query(
+      `CREATE UNIQUE INDEX "IDX_smtp_suppression_email_scope" ON "smtp_suppression" ("email", COALESCE("scope", ''))`
+    )
+
+    await queryRunner.query(`
+      CREATE TABLE "smtp_scheduled_email" (
+        "id" character varying NOT NULL,
+        "send_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "status" character varying NOT NULL,
+        "event" character varying,
+        "template" character varying,
+        "to" jsonb NOT NULL DEFAULT '[]',
+        "email" jsonb NOT NULL,
+        "outbox_id" character varying,
+        "delivery" jsonb,
+        "claimed_at" TIMESTAMP WITH TIME ZONE,
+        "processed_at" TIMESTAMP WITH TIME ZONE,
+        "canceled_at" TIMESTAMP WITH TIME ZONE,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_scheduled_email" PRIMARY KEY ("id")
+      )
+    `)
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_scheduled_email_status_send_at" ON "smtp_scheduled_email" ("status", "send_at")`
+    )
+
+    await queryRunner.query(`
+      CREATE TABLE "smtp_cart_reminder" (
+        "id" character varying NOT NULL,
+        "cart_id" character varying NOT NULL,
+        "email" character varying,
+        "status" character varying NOT NULL,
+        "reminders_sent" integer NOT NULL DEFAULT 0,
+        "last_reminder_at" TIMESTAMP WITH TIME ZONE,
+        "recovered_at" TIMESTAMP WITH TIME ZONE,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_cart_reminder" PRIMARY KEY ("id"),
+        CONSTRAINT "UQ_smtp_cart_reminder_cart_id" UNIQUE ("cart_id")
+      )
+    `)
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_cart_reminder_status" ON "smtp_cart_reminder" ("status")`
+    )
+
+    await queryRunner.query(`
+      CREATE TABLE "smtp_preview" (
+        "id" character varying NOT NULL,
+        "outbox_id" character varying,
+        "event" character varying,
+        "template" character varying,
+        "from" character varying,
+        "to" jsonb NOT NULL DEFAULT '[]',
+        "subject" character varying,
+        "eml" character varying NOT NULL,
+        "html" character varying,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_preview" PRIMARY KEY ("id")
+      )
+    `)
+  }
+
+  async down(queryRunner) {
+    await queryRunner.query(`DROP TABLE "smtp_preview"`)
+    await queryRunner.query(`DROP TABLE "smtp_cart_reminder"`)
+    await queryRunner.query(`DROP TABLE "smtp_scheduled_email"`)
+    await queryRunner.query(`DROP TABLE "smtp_suppression"`)
+    await queryRunner.query(`DROP TABLE "smtp_outbox_entry"`)
+  }
+}
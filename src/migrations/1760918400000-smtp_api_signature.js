@@ -0,0 +1,25 @@
+/**
+ * Creates the table of the signatures of signed API requests.
+ */
+export class smtpApiSignature1760918400000 {
+  name = 'smtpApiSignature1760918400000'
+
+  async up(queryRunner) {
+    await queryRunner.query(`
+      CREATE TABLE "smtp_api_signature" (
+        "signature" character varying NOT NULL,
+        "key_id" character varying NOT NULL,
+        "expires_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_api_signature" PRIMARY KEY ("signature")
+      )
+    `)
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_api_signature_expires_at" ON "smtp_api_signature" ("expires_at")`
+    )
+  }
+
+  async down(queryRunner) {
+    await queryRunner.query(`DROP TABLE "smtp_api_signature"`)
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Creates the table of the batches and links scheduled emails to their batch.
+ */
+export class smtpBatch1761004800000 {
+  name = 'smtpBatch1761004800000'
+
+  async up(queryRunner) {
+    await queryRunner.query(`
+      CREATE TABLE "smtp_batch" (
+        "id" character varying NOT NULL,
+        "email" jsonb NOT NULL,
+        "total" integer NOT NULL,
+        "created_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_smtp_batch" PRIMARY KEY ("id")
+      )
+    `)
+    await queryRunner.query(
+      `ALTER TABLE "smtp_scheduled_email" ADD "batch_id" character varying`
+    )
+    await queryRunner.query(
+      `CREATE INDEX "IDX_smtp_scheduled_email_batch_id" ON "smtp_scheduled_email" ("batch_id")`
+    )
+  }
+
+  async down(queryRunner) {
+    await queryRunner.query(`DROP INDEX "IDX_smtp_scheduled_email_batch_id"`)
+    await queryRunner.query(
+      `ALTER TABLE "smtp_scheduled_email" DROP COLUMN "batch_id"`
+    )
+    await queryRunner.query(`DROP TABLE "smtp_batch"`)
+  }
+}
@@ -0,0 +1,22 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * A signature of a request to `/smtp/send`, kept until its timestamp is too
+ * old to be accepted so the request can not be replayed, see
+ * `SmtpApiKeyService.authenticate`.
+ */
+const SmtpApiSignature = new EntitySchema({
+  name: 'SmtpApiSignature',
+  tableName: 'smtp_api_signature',
+  columns: {
+    signature: { type: 'varchar', primary: true },
+    key_id: { type: 'varchar' },
+    expires_at: { type: 'timestamp with time zone' },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+  },
+  indices: [
+    { name: 'IDX_smtp_api_signature_expires_at', columns: ['expires_at'] },
+  ],
+})
+
+export default SmtpApiSignature
@@ -0,0 +1,19 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * The options shared by the recipients of a batch, every recipient is a
+ * scheduled email with the id of the batch, see `SmtpScheduleService`.
+ */
+const SmtpBatch = new EntitySchema({
+  name: 'SmtpBatch',
+  tableName: 'smtp_batch',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    email: { type: 'jsonb' },
+    total: { type: 'integer' },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+})
+
+export default SmtpBatch
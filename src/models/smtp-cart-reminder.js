@@ -0,0 +1,24 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * The abandoned cart reminders sent for a cart, see
+ * `SmtpCartReminderService`.
+ */
+const SmtpCartReminder = new EntitySchema({
+  name: 'SmtpCartReminder',
+  tableName: 'smtp_cart_reminder',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    cart_id: { type: 'varchar', unique: true },
+    email: { type: 'varchar', nullable: true },
+    status: { type: 'varchar' },
+    reminders_sent: { type: 'integer' },
+    last_reminder_at: { type: 'timestamp with time zone', nullable: true },
+    recovered_at: { type: 'timestamp with time zone', nullable: true },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+  indices: [{ name: 'IDX_smtp_cart_reminder_status', columns: ['status'] }],
+})
+
+export default SmtpCartReminder
@@ -0,0 +1,52 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * An email the plugin attempted to send, see `SmtpOutboxService`.
+ */
+const SmtpOutboxEntry = new EntitySchema({
+  name: 'SmtpOutboxEntry',
+  tableName: 'smtp_outbox_entry',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    event: { type: 'varchar', nullable: true },
+    template: { type: 'varchar', nullable: true },
+    from: { type: 'varchar', nullable: true },
+    to: { type: 'jsonb' },
+    cc: { type: 'jsonb' },
+    bcc: { type: 'jsonb' },
+    // normalized addresses of to, cc and bcc, to search by recipient
+    recipients: { type: 'jsonb' },
+    subject: { type: 'varchar', nullable: true },
+    order_id: { type: 'varchar', nullable: true },
+    status: { type: 'varchar' },
+    attempts: { type: 'integer' },
+    transport: { type: 'varchar', nullable: true },
+    next_attempt_at: { type: 'timestamp with time zone', nullable: true },
+    message_id: { type: 'varchar', nullable: true },
+    response: { type: 'text', nullable: true },
+    response_code: { type: 'integer', nullable: true },
+    accepted: { type: 'jsonb' },
+    rejected: { type: 'jsonb' },
+    suppressed: { type: 'jsonb' },
+    bounces: { type: 'jsonb' },
+    tracked: { type: 'boolean' },
+    opens: { type: 'integer' },
+    clicks: { type: 'integer' },
+    opened_at: { type: 'timestamp with time zone', nullable: true },
+    clicked_at: { type: 'timestamp with time zone', nullable: true },
+    preview_id: { type: 'varchar', nullable: true },
+    error: { type: 'text', nullable: true },
+    error_code: { type: 'varchar', nullable: true },
+    sent_at: { type: 'timestamp with time zone', nullable: true },
+    failed_at: { type: 'timestamp with time zone', nullable: true },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+  indices: [
+    { name: 'IDX_smtp_outbox_entry_created_at', columns: ['created_at'] },
+    { name: 'IDX_smtp_outbox_entry_message_id', columns: ['message_id'] },
+    { name: 'IDX_smtp_outbox_entry_order_id', columns: ['order_id'] },
+  ],
+})
+
+export default SmtpOutboxEntry
@@ -0,0 +1,25 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * An email captured in preview mode, see `SmtpPreviewService`. The files of
+ * the email are kept in the preview folder.
+ */
+const SmtpPreview = new EntitySchema({
+  name: 'SmtpPreview',
+  tableName: 'smtp_preview',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    outbox_id: { type: 'varchar', nullable: true },
+    event: { type: 'varchar', nullable: true },
+    template: { type: 'varchar', nullable: true },
+    from: { type: 'varchar', nullable: true },
+    to: { type: 'jsonb' },
+    subject: { type: 'varchar', nullable: true },
+    eml: { type: 'varchar' },
+    html: { type: 'varchar', nullable: true },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+})
+
+export default SmtpPreview
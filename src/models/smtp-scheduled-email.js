@@ -0,0 +1,37 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * An email that is sent later, see `SmtpScheduleService`.
+ */
+const SmtpScheduledEmail = new EntitySchema({
+  name: 'SmtpScheduledEmail',
+  tableName: 'smtp_scheduled_email',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    send_at: { type: 'timestamp with time zone' },
+    status: { type: 'varchar' },
+    event: { type: 'varchar', nullable: true },
+    template: { type: 'varchar', nullable: true },
+    to: { type: 'jsonb' },
+    email: { type: 'jsonb' },
+    // set for the retries of emails that failed transiently
+    outbox_id: { type: 'varchar', nullable: true },
+    // set for the recipients of a batch, see `SmtpBatch`
+    batch_id: { type: 'varchar', nullable: true },
+    delivery: { type: 'jsonb', nullable: true },
+    claimed_at: { type: 'timestamp with time zone', nullable: true },
+    processed_at: { type: 'timestamp with time zone', nullable: true },
+    canceled_at: { type: 'timestamp with time zone', nullable: true },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+  indices: [
+    {
+      name: 'IDX_smtp_scheduled_email_status_send_at',
+      columns: ['status', 'send_at'],
+    },
+    { name: 'IDX_smtp_scheduled_email_batch_id', columns: ['batch_id'] },
+  ],
+})
+
+export default SmtpScheduledEmail
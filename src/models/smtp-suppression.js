@@ -0,0 +1,20 @@
+import { EntitySchema } from 'typeorm'
+
+/**
+ * An address that must not be emailed anymore, see `SmtpSuppressionService`.
+ */
+const SmtpSuppression = new EntitySchema({
+  name: 'SmtpSuppression',
+  tableName: 'smtp_suppression',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    email: { type: 'varchar' },
+    scope: { type: 'varchar', nullable: true },
+    reason: { type: 'varchar', nullable: true },
+    created_at: { type: 'timestamp with time zone', createDate: true },
+    updated_at: { type: 'timestamp with time zone', updateDate: true },
+  },
+  indices: [{ name: 'IDX_smtp_suppression_email', columns: ['email'] }],
+})
+
+export default SmtpSuppression
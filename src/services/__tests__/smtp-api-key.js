@@ -0,0 +1,256 @@
+import crypto from 'crypto'
+import SmtpApiKeyService from '../smtp-api-key'
+
+// the Medusa server and TypeORM provide these packages
+jest.mock('medusa-interfaces', () => ({ BaseService: class {} }), {
+  virtual: true,
+})
+jest.mock(
+  'typeorm',
+  () => ({
+    EntitySchema: class {},
+    LessThan: (value) => ({ lessThan: value }),
+  }),
+  { virtual: true }
+)
+jest.mock('medusa-core-utils', () => {
+  class MedusaError extends Error {
+    constructor(type, message) {
+      super(message)
+      this.type = type
+    }
+  }
+  MedusaError.Types = { NOT_ALLOWED: 'not_allowed' }
+  return { MedusaError }
+})
+
+// keeps the signatures in memory, the primary key refuses duplicates
+const createManager = () => {
+  const rows = new Map()
+  const repository = {
+    rows,
+    delete: async ({ expires_at }) => {
+      for (const [signature, row] of rows) {
+        if (row.expires_at < expires_at.lessThan) {
+          rows.delete(signature)
+        }
+      }
+    },
+    insert: async (row) => {
+      if (rows.has(row.signature)) {
+        throw new Error('duplicate key value violates unique constraint')
+      }
+      rows.set(row.signature, row)
+    },
+    findOne: async ({ where }) => rows.get(where.signature) || null,
+  }
+  return { repository, getRepository: () => repository }
+}
+
+const apiKeys = [
+  { id: 'shop', secret: 'shop-secret' },
+  {
+    id: 'contact',
+    secret: 'contact-secret',
+    templates: ['contact'],
+    domains: ['example.com', 'partner@other.com'],
+    senders: ['contact@example.com', 'shop.example.com'],
+  },
+]
+
+const sign = (timestamp, body, secret = 'shop-secret') =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')
+
+describe('SmtpApiKeyService', () => {
+  let manager
+  let service
+
+  beforeEach(() => {
+    manager = createManager()
+    service = new SmtpApiKeyService(
+      { manager },
+      { apiKeys, signatureTolerance: 60 * 1000 }
+    )
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('authenticate', () => {
+    const body = JSON.stringify({ template_id: 'contact' })
+    const signed = (timestamp = Date.now(), overrides = {}) => ({
+      keyId: 'shop',
+      timestamp: String(timestamp),
+      signature: sign(timestamp, body),
+      body,
+      ...overrides,
+    })
+
+    it('finds the key of a bearer token', async () => {
+      await expect(
+        service.authenticate({ token: 'contact-secret' })
+      ).resolves.toMatchObject({ id: 'contact' })
+      await expect(service.authenticate({ token: 'wrong' })).resolves.toBeNull()
+    })
+
+    it('refuses requests without credentials', async () => {
+      await expect(service.authenticate({ body })).resolves.toBeNull()
+      await expect(
+        service.authenticate({ keyId: 'shop', body })
+      ).resolves.toBeNull()
+    })
+
+    it('accepts a request signed with the secret of the key', async () => {
+      await expect(service.authenticate(signed())).resolves.toMatchObject({
+        id: 'shop',
+      })
+    })
+
+    it('refuses a signature of another body or secret', async () => {
+      const timestamp = Date.now()
+      await expect(
+        service.authenticate(signed(timestamp, { body: '{}' }))
+      ).resolves.toBeNull()
+      await expect(
+        service.authenticate(
+          signed(timestamp, { signature: sign(timestamp, body, 'other') })
+        )
+      ).resolves.toBeNull()
+      await expect(
+        service.authenticate(signed(timestamp, { keyId: 'contact' }))
+      ).resolves.toBeNull()
+      await expect(
+        service.authenticate(signed(timestamp, { keyId: 'unknown' }))
+      ).resolves.toBeNull()
+    })
+
+    it('refuses timestamps outside of the tolerance', async () => {
+      await expect(
+        service.authenticate(signed(Date.now() - 61 * 1000))
+      ).resolves.toBeNull()
+      await expect(
+        service.authenticate(signed(Date.now() + 61 * 1000))
+      ).resolves.toBeNull()
+      await expect(
+        service.authenticate(signed('yesterday'))
+      ).resolves.toBeNull()
+    })
+
+    it('refuses a replayed signature', async () => {
+      const request = signed()
+      await expect(service.authenticate(request)).resolves.not.toBeNull()
+      await expect(service.authenticate(request)).resolves.toBeNull()
+      await expect(
+        service.authenticate({
+          ...request,
+          signature: request.signature.toUpperCase(),
+        })
+      ).resolves.toBeNull()
+    })
+
+    it('accepts only one of two identical requests sent at once', async () => {
+      const request = signed()
+      const keys = await Promise.all([
+        service.authenticate(request),
+        service.authenticate(request),
+      ])
+      expect(keys.filter(Boolean)).toHaveLength(1)
+    })
+
+    it('forgets signatures once they are too old to be accepted', async () => {
+      jest.useFakeTimers({ now: new Date('2030-01-01T10:00:00Z') })
+      await service.authenticate(signed())
+      expect(manager.repository.rows.size).toEqual(1)
+
+      jest.setSystemTime(new Date('2030-01-01T10:02:00Z'))
+      await service.authenticate(signed())
+      expect(manager.repository.rows.size).toEqual(1)
+    })
+  })
+
+  describe('authorize', () => {
+    const [shop, contact] = apiKeys
+    const message = {
+      template_id: 'contact',
+      recipients: ['jane@example.com'],
+    }
+
+    it('allows everything but senders for keys without limits', () => {
+      expect(() =>
+        service.authorize(shop, {
+          template_id: 'anything',
+          recipients: ['anyone@anywhere.com'],
+        })
+      ).not.toThrow()
+      expect(() =>
+        service.authorize(shop, { ...message, from: 'shop@example.com' })
+      ).toThrow('API key shop may not send emails as shop@example.com')
+    })
+
+    it('only sends the templates of the key', () => {
+      expect(() => service.authorize(contact, message)).not.toThrow()
+      expect(() =>
+        service.authorize(contact, { ...message, template_id: 'orderplaced' })
+      ).toThrow('API key contact may not send the template orderplaced')
+    })
+
+    it('only sends to the domains and addresses of the key', () => {
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          recipients: ['Jane <JANE@Example.com>', 'partner@other.com'],
+        })
+      ).not.toThrow()
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          recipients: ['jane@example.com', 'someone@other.com'],
+        })
+      ).toThrow('API key contact may not send emails to someone@other.com')
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          recipients: ['jane@sub.example.com'],
+        })
+      ).toThrow('may not send emails to jane@sub.example.com')
+    })
+
+    it('only sends as the senders of the key', () => {
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          from: 'Contact <contact@example.com>',
+          reply_to: 'support@shop.example.com',
+        })
+      ).not.toThrow()
+      expect(() =>
+        service.authorize(contact, { ...message, from: 'ceo@example.com' })
+      ).toThrow('API key contact may not send emails as ceo@example.com')
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          reply_to: 'attacker@evil.com',
+        })
+      ).toThrow('may not send emails as attacker@evil.com')
+    })
+
+    it('refuses attachments by URL', () => {
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          attachments: [{ filename: 'a.pdf', content: 'JVBERi0=' }],
+        })
+      ).not.toThrow()
+      expect(() =>
+        service.authorize(contact, {
+          ...message,
+          attachments: [{ filename: 'a', url: 'http://169.254.169.254/' }],
+        })
+      ).toThrow('API key contact may not attach files by URL')
+    })
+  })
+})
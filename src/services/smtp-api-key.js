@@ -0,0 +1,183 @@
+import crypto from 'crypto'
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import { LessThan } from 'typeorm'
+import SmtpApiSignature from '../models/smtp-api-signature'
+import { toAddressList, normalizeAddress } from '../utils/addresses'
+import { secretsMatch } from '../utils/tokens'
+
+/**
+ * Authenticates the API keys allowed to send emails through `/smtp/send` and
+ * checks what they may send. A key either sends its secret as a bearer token
+ * or signs the request body with it.
+ */
+class SmtpApiKeyService extends BaseService {
+  /**
+   * @param {Object} options - plugin options
+   *    apiKeys: list of { id, secret, templates, domains, senders },
+   *      templates and domains restrict what the key may send, all are
+   *      allowed when omitted. senders lists the addresses or domains the key
+   *      may set as `from` and `reply_to`, none when omitted
+   *    signatureTolerance: how old a signed request may be, in ms
+   */
+  constructor({ manager }, options) {
+    super()
+
+    this.options_ = {
+      apiKeys: [],
+      signatureTolerance: 5 * 60 * 1000,
+      ...options,
+    }
+
+    this.apiKeys_ = this.options_.apiKeys.filter((key) => key.id && key.secret)
+    this.manager_ = manager
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpApiSignature)
+  }
+
+  /**
+   * Finds the API key of a request. A signature is accepted once, repeated
+   * requests with the same signature are refused while their timestamp is
+   * within `signatureTolerance`.
+   * @param {Object} credentials
+   * @param {string} credentials.token - bearer token
+   * @param {string} credentials.keyId - id of the key that signed the request
+   * @param {string} credentials.timestamp - when the request was signed, in ms
+   * @param {string} credentials.signature - hex HMAC-SHA256 of
+   *    `<timestamp>.<body>` with the secret of the key
+   * @param {Buffer|string} credentials.body - the raw request body
+   * @return {Promise<Object|null>} the key, null when the request is not
+   *    authenticated
+   */
+  async authenticate({ token, keyId, timestamp, signature, body }) {
+    if (token) {
+      const key = this.apiKeys_.find((k) => secretsMatch(token, k.secret))
+      return key || null
+    }
+
+    if (!keyId || !signature) {
+      return null
+    }
+
+    const key = this.apiKeys_.find((k) => k.id === keyId)
+    const age = Math.abs(Date.now() - Number(timestamp))
+    if (!key || !(age <= this.options_.signatureTolerance)) {
+      return null
+    }
+
+    const expected = crypto
+      .createHmac('sha256', key.secret)
+      .update(`${timestamp}.`)
+      .update(body || '')
+      .digest('hex')
+    if (!secretsMatch(signature, expected)) {
+      return null
+    }
+    return (await this.recordSignature_(key, expected, timestamp)) ? key : null
+  }
+
+  /**
+   * Remembers a signature until its timestamp is too old to be accepted.
+   * @param {Object} key - the API key that signed the request
+   * @param {string} signature - the verified signature
+   * @param {string} timestamp - when the request was signed, in ms
+   * @return {Promise<boolean>} whether the signature was not used before
+   */
+  async recordSignature_(key, signature, timestamp) {
+    const now = new Date()
+    await this.repository_.delete({ expires_at: LessThan(now) })
+
+    try {
+      await this.repository_.insert({
+        signature,
+        key_id: key.id,
+        expires_at: new Date(
+          Number(timestamp) + this.options_.signatureTolerance
+        ),
+      })
+      return true
+    } catch (err) {
+      // the request was sent before, or at the same time
+      if (await this.repository_.findOne({ where: { signature } })) {
+        return false
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Throws when a key may not send a message, i.e. its template, one of its
+   * recipients or senders is not allowed for the key or it attaches a URL.
+   * Attachments are fetched from their URL by the server, only admins may
+   * attach them.
+   * @param {Object} key - the API key
+   * @param {Object} message - the validated body of the send route
+   * @param {string} message.template_id - template of the email
+   * @param {string[]} message.recipients - addresses the email is sent to
+   * @param {string} message.from - sender of the email
+   * @param {string} message.reply_to - address replies are sent to
+   * @param {Object[]} message.attachments - attachments of the email
+   */
+  authorize(key, message) {
+    const { template_id: template, recipients, from, reply_to } = message
+    if (key.templates && !key.templates.includes(template)) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        `API key ${key.id} may not send the template ${template}`
+      )
+    }
+
+    if (message.attachments?.some((a) => a.url)) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        `API key ${key.id} may not attach files by URL`
+      )
+    }
+
+    // without senders the key only sends as the default sender
+    for (const sender of toAddressList([from, reply_to].filter(Boolean))) {
+      if (!matchesAddress(sender, key.senders || [])) {
+        throw new MedusaError(
+          MedusaError.Types.NOT_ALLOWED,
+          `API key ${key.id} may not send emails as ${sender}`
+        )
+      }
+    }
+
+    if (!key.domains) {
+      return
+    }
+
+    for (const recipient of toAddressList(recipients)) {
+      if (!matchesAddress(recipient, key.domains)) {
+        throw new MedusaError(
+          MedusaError.Types.NOT_ALLOWED,
+          `API key ${key.id} may not send emails to ${recipient}`
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Checks an address against a list of addresses and domains.
+ * @param {string} address - email address, named or not
+ * @param {string[]} allowed - addresses, or domains any address of which is
+ *    allowed
+ * @return {boolean} whether the address is in the list
+ */
+function matchesAddress(address, allowed) {
+  const normalized = normalizeAddress(address)
+  if (!normalized) {
+    return false
+  }
+
+  const domain = normalized.split('@')[1]
+  return allowed
+    .map((a) => a.toLowerCase())
+    .some((a) => (a.includes('@') ? a === normalized : a === domain))
+}
+
+export default SmtpApiKeyService
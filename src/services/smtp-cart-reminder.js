@@ -0,0 +1,144 @@
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import { In } from 'typeorm'
+import SmtpCartReminder from '../models/smtp-cart-reminder'
+import { generateId } from '../utils/ids'
+
+/**
+ * Keeps track of the abandoned cart reminders sent per cart.
+ */
+class SmtpCartReminderService extends BaseService {
+  constructor({ manager }) {
+    super()
+
+    this.manager_ = manager
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpCartReminder)
+  }
+
+  /**
+   * @param {string} cartId - id of the cart
+   * @return {Promise<Object|undefined>} the reminders of the cart
+   */
+  async retrieveByCart(cartId) {
+    const reminder = await this.repository_.findOne({
+      where: { cart_id: cartId },
+    })
+    return reminder || undefined
+  }
+
+  /**
+   * @param {string[]} cartIds - ids of the carts
+   * @return {Promise<Object[]>} the reminders of the carts that were reminded
+   */
+  async listByCarts(cartIds) {
+    if (!cartIds.length) {
+      return []
+    }
+    return this.repository_.find({ where: { cart_id: In(cartIds) } })
+  }
+
+  /**
+   * @param {Object} selector - status
+   * @return {Promise<Object[]>} the reminders
+   */
+  async list(selector = {}) {
+    const where = {}
+    if (selector.status !== undefined) {
+      where.status = selector.status
+    }
+    return this.repository_.find({ where, order: { created_at: 'DESC' } })
+  }
+
+  /**
+   * Counts the next reminder of a cart before it is sent. Only one server
+   * instance claims a reminder, the others skip it.
+   * @param {string} cartId - id of the cart
+   * @param {string} email - address the reminder is sent to
+   * @param {Object} previous - the reminders of the cart the reminder is due
+   *    for, undefined for the first reminder
+   * @return {Promise<Object|null>} the reminders of the cart, null when the
+   *    reminder was claimed by someone else
+   */
+  async claimReminder(cartId, email, previous) {
+    const now = new Date()
+    if (!previous) {
+      const reminder = {
+        id: generateId('smtpcrt_'),
+        cart_id: cartId,
+        email,
+        status: 'active',
+        reminders_sent: 1,
+        last_reminder_at: now,
+        recovered_at: null,
+      }
+
+      try {
+        await this.repository_.insert(reminder)
+      } catch (err) {
+        // the first reminder of the cart was claimed at the same time
+        if (await this.retrieveByCart(cartId)) {
+          return null
+        }
+        throw err
+      }
+      return this.repository_.findOne({ where: { id: reminder.id } })
+    }
+
+    const { affected } = await this.repository_.update(
+      {
+        id: previous.id,
+        status: 'active',
+        reminders_sent: previous.reminders_sent,
+      },
+      {
+        email,
+        reminders_sent: previous.reminders_sent + 1,
+        last_reminder_at: now,
+      }
+    )
+    return affected
+      ? this.repository_.findOne({ where: { id: previous.id } })
+      : null
+  }
+
+  /**
+   * Gives back a claimed reminder that could not be sent, so it is sent with
+   * the next check.
+   * @param {Object} claimed - the reminders returned by `claimReminder`
+   * @param {Object} previous - the reminders passed to `claimReminder`
+   */
+  async releaseReminder(claimed, previous) {
+    const where = { id: claimed.id, reminders_sent: claimed.reminders_sent }
+    if (!previous) {
+      await this.repository_.delete(where)
+      return
+    }
+
+    await this.repository_.update(where, {
+      email: previous.email,
+      reminders_sent: previous.reminders_sent,
+      last_reminder_at: previous.last_reminder_at,
+    })
+  }
+
+  /**
+   * @param {string} id - id of the reminders
+   * @param {Object} update - fields to change
+   * @return {Promise<Object>} the reminders
+   */
+  async update(id, update) {
+    const { affected } = await this.repository_.update(id, update)
+    if (!affected) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Cart reminder with id: ${id} was not found`
+      )
+    }
+    return this.repository_.findOne({ where: { id } })
+  }
+}
+
+export default SmtpCartReminderService
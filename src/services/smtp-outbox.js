@@ -0,0 +1,274 @@
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import { IsNull, LessThanOrEqual } from 'typeorm'
+import SmtpOutboxEntry from '../models/smtp-outbox-entry'
+import { generateId } from '../utils/ids'
+import { normalizeAddress } from '../utils/addresses'
+
+// the outbox is trimmed to `outboxLimit` after this many entries were created
+const PRUNE_EVERY = 100
+
+/**
+ * Keeps a log of every email the plugin attempted to send.
+ */
+class SmtpOutboxService extends BaseService {
+  /**
+   * @param {Object} options - plugin options
+   *    outboxLimit: number of log entries to keep, oldest are dropped first
+   */
+  constructor({ manager }, options) {
+    super()
+
+    this.options_ = {
+      outboxLimit: 10000,
+      ...options,
+    }
+
+    this.manager_ = manager
+    this.created_ = 0
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpOutboxEntry)
+  }
+
+  /**
+   * Records a send attempt.
+   * @param {Object} data - event, template, from, to, subject, order_id
+   * @return {Promise<Object>} the created entry
+   */
+  async create(data) {
+    const entry = {
+      id: generateId('smtpmsg_'),
+      event: null,
+      template: null,
+      from: null,
+      to: [],
+      cc: [],
+      bcc: [],
+      subject: null,
+      order_id: null,
+      status: 'pending',
+      attempts: 0,
+      transport: null,
+      next_attempt_at: null,
+      message_id: null,
+      response: null,
+      response_code: null,
+      accepted: [],
+      rejected: [],
+      suppressed: [],
+      bounces: [],
+      tracked: false,
+      opens: 0,
+      clicks: 0,
+      opened_at: null,
+      clicked_at: null,
+      preview_id: null,
+      error: null,
+      error_code: null,
+      sent_at: null,
+      failed_at: null,
+      ...data,
+    }
+
+    const saved = await this.repository_.save(
+      this.repository_.create({ ...entry, recipients: getRecipients(entry) })
+    )
+
+    this.created_ += 1
+    if (this.created_ % PRUNE_EVERY === 0) {
+      await this.prune()
+    }
+    return saved
+  }
+
+  /**
+   * @param {string} id - id of the entry
+   * @param {Object} update - fields to change
+   * @return {Promise<Object>} the updated entry
+   */
+  async update(id, update) {
+    if (['to', 'cc', 'bcc'].some((key) => key in update)) {
+      const entry = await this.retrieve(id)
+      update = { ...update, recipients: getRecipients({ ...entry, ...update }) }
+    }
+
+    const { affected } = await this.repository_.update(id, update)
+    if (!affected) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Outbox entry with id: ${id} was not found`
+      )
+    }
+    return this.retrieve(id)
+  }
+
+  /**
+   * @param {string} id - id of the entry
+   * @return {Promise<Object>} the entry
+   */
+  async retrieve(id) {
+    const entry = await this.repository_.findOne({ where: { id } })
+    if (!entry) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Outbox entry with id: ${id} was not found`
+      )
+    }
+    return entry
+  }
+
+  /**
+   * @param {string} messageId - Message-ID of the sent email, with or without
+   *    angle brackets
+   * @return {Promise<Object|undefined>} the entry of the email
+   */
+  async retrieveByMessageId(messageId) {
+    if (!messageId) {
+      return undefined
+    }
+
+    const entry = await this.repository_.findOne({
+      where: { message_id: `<${messageId.trim().replace(/^<|>$/g, '')}>` },
+      order: { created_at: 'DESC' },
+    })
+    return entry || undefined
+  }
+
+  /**
+   * Counts an open or a click of an email. The first one also sets the date
+   * the email was opened or clicked at, a click tells the email was opened.
+   * @param {string} id - id of the entry
+   * @param {string} type - open or click
+   */
+  async recordEngagement(id, type) {
+    const now = new Date()
+    await this.repository_.increment(
+      { id },
+      type === 'click' ? 'clicks' : 'opens',
+      1
+    )
+
+    const dates = type === 'click' ? ['clicked_at', 'opened_at'] : ['opened_at']
+    for (const date of dates) {
+      await this.repository_.update({ id, [date]: IsNull() }, { [date]: now })
+    }
+  }
+
+  /**
+   * Lists entries, newest first.
+   * @param {Object} selector - event, order_id, status, message_id, template,
+   *    tracked, email (matches any recipient) and q (free text search)
+   * @param {Object} config - skip and take
+   * @return {Promise<[Object[], number]>} the page of entries and the total
+   *    count
+   */
+  async listAndCount(selector = {}, config = { skip: 0, take: 50 }) {
+    const query = this.query_(selector)
+      .orderBy('entry.created_at', 'DESC')
+      .addOrderBy('entry.id', 'DESC')
+      .skip(config.skip || 0)
+
+    if (config.take) {
+      query.take(config.take)
+    }
+    return query.getManyAndCount()
+  }
+
+  /**
+   * Counts the tracked emails that were sent and their opens and clicks per
+   * template.
+   * @param {Object} selector - template and event
+   * @return {Promise<Object[]>} the counts per template
+   */
+  async countEngagement(selector = {}) {
+    const rows = await this.query_({ ...selector, tracked: true })
+      .andWhere('entry.sent_at IS NOT NULL')
+      .select('entry.template', 'template')
+      .addSelect('COUNT(*)', 'sent')
+      .addSelect('COUNT(entry.opened_at)', 'opened')
+      .addSelect('SUM(entry.opens)', 'opens')
+      .addSelect('COUNT(entry.clicked_at)', 'clicked')
+      .addSelect('SUM(entry.clicks)', 'clicks')
+      .groupBy('entry.template')
+      .getRawMany()
+
+    return rows.map((row) => ({
+      template: row.template,
+      sent: Number(row.sent),
+      opened: Number(row.opened),
+      opens: Number(row.opens || 0),
+      clicked: Number(row.clicked),
+      clicks: Number(row.clicks || 0),
+    }))
+  }
+
+  /**
+   * Drops the oldest entries beyond `outboxLimit`.
+   */
+  async prune() {
+    const [oldest] = await this.repository_.find({
+      select: ['id', 'created_at'],
+      order: { created_at: 'DESC', id: 'DESC' },
+      skip: this.options_.outboxLimit,
+      take: 1,
+    })
+
+    if (oldest) {
+      await this.repository_.delete({
+        created_at: LessThanOrEqual(oldest.created_at),
+      })
+    }
+  }
+
+  query_(selector) {
+    const { email, q, ...fields } = selector
+    const query = this.repository_.createQueryBuilder('entry')
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        query.andWhere(`entry.${key} = :${key}`, { [key]: value })
+      }
+    }
+
+    if (email) {
+      query.andWhere('entry.recipients @> :recipients', {
+        recipients: JSON.stringify([normalizeAddress(email) || email]),
+      })
+    }
+
+    if (q) {
+      const columns = [
+        'id',
+        'event',
+        'template',
+        'subject',
+        'order_id',
+        'message_id',
+      ]
+      query.andWhere(
+        `(${[
+          ...columns.map((c) => `entry.${c} ILIKE :q`),
+          'CAST(entry.recipients AS text) ILIKE :q',
+        ].join(' OR ')})`,
+        { q: `%${q.replace(/[\\%_]/g, '\\$&')}%` }
+      )
+    }
+
+    return query
+  }
+}
+
+/**
+ * @param {Object} entry - outbox entry
+ * @return {string[]} the normalized addresses of all recipients of the entry
+ */
+function getRecipients(entry) {
+  const addresses = [...entry.to, ...entry.cc, ...entry.bcc]
+    .map((address) => normalizeAddress(address))
+    .filter(Boolean)
+  return [...new Set(addresses)]
+}
+
+export default SmtpOutboxService
@@ -0,0 +1,110 @@
+import fs from 'fs'
+import path from 'path'
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import SmtpPreview from '../models/smtp-preview'
+import { generateId } from '../utils/ids'
+import { toAddressList } from '../utils/addresses'
+
+/**
+ * Keeps the emails captured in preview mode. Every email is written to the
+ * preview folder as `.eml` and `.html`, the captured emails are indexed in
+ * the database.
+ */
+class SmtpPreviewService extends BaseService {
+  /**
+   * @param {Object} options - plugin options
+   *    storagePath: folder where the plugin writes its files
+   *    previewPath: folder captured emails are written to, defaults to
+   *      `<storagePath>/previews`
+   */
+  constructor({ manager }, options) {
+    super()
+
+    this.options_ = {
+      storagePath: 'data/smtp',
+      ...options,
+    }
+
+    this.directory_ = path.resolve(
+      this.options_.previewPath ||
+        path.join(this.options_.storagePath, 'previews')
+    )
+
+    this.manager_ = manager
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpPreview)
+  }
+
+  /**
+   * Writes a captured email to the preview folder.
+   * @param {Object} entry - outbox entry of the email
+   * @param {Object} message - the rendered message
+   * @param {Buffer} raw - the email as generated by nodemailer
+   * @return {Promise<Object>} the captured email
+   */
+  async create(entry, message, raw) {
+    const name = `${Date.now()}-${entry.id}`
+    fs.mkdirSync(this.directory_, { recursive: true })
+    fs.writeFileSync(path.join(this.directory_, `${name}.eml`), raw)
+    if (message.html) {
+      fs.writeFileSync(path.join(this.directory_, `${name}.html`), message.html)
+    }
+
+    return this.repository_.save(
+      this.repository_.create({
+        id: generateId('smtpprv_'),
+        outbox_id: entry.id,
+        event: entry.event,
+        template: entry.template,
+        from: message.from || null,
+        to: toAddressList(message.to),
+        subject: message.subject || null,
+        eml: `${name}.eml`,
+        html: message.html ? `${name}.html` : null,
+      })
+    )
+  }
+
+  /**
+   * @param {string} id - id of the captured email
+   * @return {Promise<Object>} the captured email
+   */
+  async retrieve(id) {
+    const preview = await this.repository_.findOne({ where: { id } })
+    if (!preview) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Preview with id: ${id} was not found`
+      )
+    }
+    return preview
+  }
+
+  /**
+   * @return {Promise<Object[]>} the captured emails, newest first
+   */
+  async list() {
+    return this.repository_.find({ order: { created_at: 'DESC', id: 'DESC' } })
+  }
+
+  /**
+   * @param {string} id - id of the captured email
+   * @param {string} type - eml or html
+   * @return {Promise<string>} the path of the file
+   */
+  async getFile(id, type) {
+    const preview = await this.retrieve(id)
+    if (!preview[type]) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Preview with id: ${id} has no ${type} file`
+      )
+    }
+    return path.join(this.directory_, preview[type])
+  }
+}
+
+export default SmtpPreviewService
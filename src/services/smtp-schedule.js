@@ -0,0 +1,245 @@
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import { LessThan, LessThanOrEqual } from 'typeorm'
+import SmtpScheduledEmail from '../models/smtp-scheduled-email'
+import SmtpBatch from '../models/smtp-batch'
+import { generateId } from '../utils/ids'
+import { toAddressList, normalizeAddress } from '../utils/addresses'
+
+/**
+ * Keeps the emails that are sent later. Scheduled emails are persisted, so
+ * they are still sent after a restart.
+ */
+class SmtpScheduleService extends BaseService {
+  constructor({ manager }) {
+    super()
+
+    this.manager_ = manager
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpScheduledEmail)
+  }
+
+  get batchRepository_() {
+    return this.manager_.getRepository(SmtpBatch)
+  }
+
+  /**
+   * Schedules an email.
+   * @param {Object} data
+   * @param {Date} data.send_at - when to send the email
+   * @param {Object} data.email - options passed to `SmtpService.sendEmail`,
+   *    or the stored message of a retry
+   * @param {string} data.outbox_id - outbox entry of the email a retry sends
+   *    again
+   * @return {Promise<Object>} the scheduled email
+   */
+  async create({ send_at, email, outbox_id = null }) {
+    return this.repository_.save(
+      this.repository_.create(this.toScheduledEmail_(send_at, email, outbox_id))
+    )
+  }
+
+  /**
+   * Schedules an email to many recipients. The options shared by all
+   * recipients are stored once with the batch, every recipient is a
+   * scheduled email with its own `to` and `data` and the id of the batch.
+   * @param {Object} data
+   * @param {Date} data.send_at - when to send the emails
+   * @param {Object} data.email - options passed to `SmtpService.sendEmail`
+   *    shared by all recipients
+   * @param {Object[]} data.recipients - `to` and `data` of every recipient
+   * @return {Promise<Object>} the batch
+   */
+  async createBatch({ send_at, email, recipients }) {
+    const batch = await this.batchRepository_.save(
+      this.batchRepository_.create({
+        id: generateId('smtpbat_'),
+        email,
+        total: recipients.length,
+      })
+    )
+
+    await this.repository_.insert(
+      recipients.map(({ to, data }) => ({
+        ...this.toScheduledEmail_(send_at, { ...email, to, data }),
+        email: { to, data },
+        batch_id: batch.id,
+      }))
+    )
+    return batch
+  }
+
+  /**
+   * @param {string} id - id of the batch
+   * @return {Promise<Object>} the batch
+   */
+  async retrieveBatch(id) {
+    const batch = await this.batchRepository_.findOne({ where: { id } })
+    if (!batch) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Batch with id: ${id} was not found`
+      )
+    }
+    return batch
+  }
+
+  toScheduledEmail_(send_at, email, outbox_id = null) {
+    return {
+      id: generateId('smtpsch_'),
+      send_at: new Date(send_at),
+      status: 'scheduled',
+      event: email.event || null,
+      template: email.templateName || null,
+      to: toAddressList(email.to).map((to) => normalizeAddress(to) || to),
+      email,
+      outbox_id,
+      batch_id: null,
+      delivery: null,
+      claimed_at: null,
+      processed_at: null,
+      canceled_at: null,
+    }
+  }
+
+  /**
+   * @param {string} id - id of the scheduled email
+   * @param {Object} update - fields to change
+   * @return {Promise<Object>} the scheduled email
+   */
+  async update(id, update) {
+    const { affected } = await this.repository_.update(id, update)
+    if (!affected) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Scheduled email with id: ${id} was not found`
+      )
+    }
+    return this.retrieve(id)
+  }
+
+  /**
+   * @param {string} id - id of the scheduled email
+   * @return {Promise<Object>} the scheduled email
+   */
+  async retrieve(id) {
+    const scheduled = await this.repository_.findOne({ where: { id } })
+    if (!scheduled) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Scheduled email with id: ${id} was not found`
+      )
+    }
+    return scheduled
+  }
+
+  /**
+   * Cancels an email that has not been sent yet.
+   * @param {string} id - id of the scheduled email
+   * @return {Promise<Object>} the canceled email
+   */
+  async cancel(id) {
+    const scheduled = await this.retrieve(id)
+    if (scheduled.outbox_id) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        `Scheduled email with id: ${id} is the retry of a failed email and can not be canceled`
+      )
+    }
+
+    const { affected } = await this.repository_.update(
+      { id, status: 'scheduled' },
+      { status: 'canceled', canceled_at: new Date() }
+    )
+    if (!affected) {
+      const { status } = await this.retrieve(id)
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        `Scheduled email with id: ${id} is ${status} and can not be canceled`
+      )
+    }
+    return this.retrieve(id)
+  }
+
+  /**
+   * @param {Date} now - the current date
+   * @param {number} take - maximum number of emails returned
+   * @return {Promise<Object[]>} the scheduled emails that are due, oldest
+   *    first
+   */
+  async listDue(now = new Date(), take = 100) {
+    return this.repository_.find({
+      where: { status: 'scheduled', send_at: LessThanOrEqual(now) },
+      order: { send_at: 'ASC' },
+      take,
+    })
+  }
+
+  /**
+   * Claims a due email for sending. Only one server instance claims an
+   * email, the others skip it.
+   * @param {string} id - id of the scheduled email
+   * @return {Promise<boolean>} whether the email was claimed
+   */
+  async claim(id) {
+    const { affected } = await this.repository_.update(
+      { id, status: 'scheduled' },
+      { status: 'processing', claimed_at: new Date() }
+    )
+    return affected === 1
+  }
+
+  /**
+   * Schedules the emails claimed longer than `timeout` ago again, their
+   * sender stopped before it finished them.
+   * @param {number} timeout - how long sending an email may take, in ms
+   */
+  async releaseStale(timeout) {
+    await this.repository_.update(
+      {
+        status: 'processing',
+        claimed_at: LessThan(new Date(Date.now() - timeout)),
+      },
+      { status: 'scheduled', claimed_at: null }
+    )
+  }
+
+  /**
+   * Lists scheduled emails by send date.
+   * @param {Object} selector - status, event, batch_id and email (matches any
+   *    recipient)
+   * @param {Object} config - skip and take
+   * @return {Promise<[Object[], number]>} the page of scheduled emails and
+   *    the total count
+   */
+  async listAndCount(selector = {}, config = { skip: 0, take: 50 }) {
+    const { email, ...fields } = selector
+    const query = this.repository_.createQueryBuilder('scheduled')
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        query.andWhere(`scheduled.${key} = :${key}`, { [key]: value })
+      }
+    }
+
+    if (email) {
+      // "to" is a reserved word and must be quoted
+      query.andWhere('"scheduled"."to" @> :to', {
+        to: JSON.stringify([normalizeAddress(email) || email]),
+      })
+    }
+
+    query
+      .orderBy('scheduled.send_at', 'ASC')
+      .addOrderBy('scheduled.id', 'ASC')
+      .skip(config.skip || 0)
+    if (config.take) {
+      query.take(config.take)
+    }
+    return query.getManyAndCount()
+  }
+}
+
+export default SmtpScheduleService
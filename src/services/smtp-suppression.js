@@ -0,0 +1,193 @@
+import { BaseService } from 'medusa-interfaces'
+import { MedusaError } from 'medusa-core-utils'
+import { IsNull } from 'typeorm'
+import SmtpSuppression from '../models/smtp-suppression'
+import { generateId } from '../utils/ids'
+import { normalizeAddress } from '../utils/addresses'
+import { signToken, verifyToken } from '../utils/tokens'
+
+/**
+ * Keeps the addresses that must not be emailed anymore. A suppression either
+ * applies to every email (no scope) or only to the emails of a scope, e.g.
+ * `restock:<variant_id>` for the restock notifications of a variant. Every
+ * send checks the suppressions of its recipients.
+ */
+class SmtpSuppressionService extends BaseService {
+  /**
+   * @param {Object} options - plugin options
+   *    secret: key used to sign unsubscribe tokens
+   */
+  constructor({ manager }, options) {
+    super()
+
+    this.options_ = {
+      secret: process.env.JWT_SECRET || process.env.COOKIE_SECRET,
+      ...options,
+    }
+
+    this.manager_ = manager
+  }
+
+  get repository_() {
+    return this.manager_.getRepository(SmtpSuppression)
+  }
+
+  /**
+   * Suppresses an address, globally or for a scope.
+   * @param {Object} data - email, scope and reason
+   * @return {Promise<Object>} the suppression
+   */
+  async create({ email, scope = null, reason = null }) {
+    const address = normalizeAddress(email)
+    if (!address) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `${email} is not a valid email address`
+      )
+    }
+
+    const where = { email: address, scope: scope ?? IsNull() }
+    const existing = await this.repository_.findOne({ where })
+    if (existing) {
+      return existing
+    }
+
+    try {
+      return await this.repository_.save(
+        this.repository_.create({
+          id: generateId('smtpsup_'),
+          email: address,
+          scope,
+          reason,
+        })
+      )
+    } catch (err) {
+      // the address was suppressed at the same time by another request
+      const suppression = await this.repository_.findOne({ where })
+      if (!suppression) {
+        throw err
+      }
+      return suppression
+    }
+  }
+
+  /**
+   * @param {string} id - id of the suppression
+   * @return {Promise<Object>} the suppression
+   */
+  async retrieve(id) {
+    const suppression = await this.repository_.findOne({ where: { id } })
+    if (!suppression) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `Suppression with id: ${id} was not found`
+      )
+    }
+    return suppression
+  }
+
+  /**
+   * Lifts a suppression, the address is emailed again.
+   * @param {string} id - id of the suppression
+   * @return {Promise<Object>} the deleted suppression
+   */
+  async delete(id) {
+    const suppression = await this.retrieve(id)
+    await this.repository_.delete(id)
+    return suppression
+  }
+
+  /**
+   * Lists suppressions, newest first.
+   * @param {Object} selector - email, scope and reason
+   * @param {Object} config - skip and take
+   * @return {Promise<[Object[], number]>} the page of suppressions and the
+   *    total count
+   */
+  async listAndCount(selector = {}, config = { skip: 0, take: 50 }) {
+    const where = {}
+    if (selector.email) {
+      where.email = normalizeAddress(selector.email) || selector.email
+    }
+    for (const key of ['scope', 'reason']) {
+      if (selector[key] !== undefined) {
+        where[key] = selector[key] ?? IsNull()
+      }
+    }
+
+    return this.repository_.findAndCount({
+      where,
+      order: { created_at: 'DESC', id: 'DESC' },
+      skip: config.skip || 0,
+      take: config.take,
+    })
+  }
+
+  /**
+   * @param {string} email - address to check
+   * @param {string} scope - optional scope of the email
+   * @return {Promise<boolean>} whether the address must not receive the email
+   */
+  async isSuppressed(email, scope = null) {
+    const address = normalizeAddress(email)
+    if (!address) {
+      return false
+    }
+
+    const where = [{ email: address, scope: IsNull() }]
+    if (scope) {
+      where.push({ email: address, scope })
+    }
+    return (await this.repository_.count({ where })) > 0
+  }
+
+  /**
+   * Creates a signed token an address can use to unsubscribe from a scope.
+   * @param {string} email - address of the recipient
+   * @param {string} scope - scope to unsubscribe from, null for all emails
+   * @return {string|null} the token, null when no secret is configured
+   */
+  createUnsubscribeToken(email, scope = null) {
+    if (!this.options_.secret) {
+      return null
+    }
+
+    return signToken(
+      { email: normalizeAddress(email), scope },
+      this.options_.secret
+    )
+  }
+
+  /**
+   * @param {string} token - token from `createUnsubscribeToken`
+   * @return {Object} the email and scope of the token
+   */
+  verifyUnsubscribeToken(token) {
+    const payload =
+      this.options_.secret && verifyToken(token, this.options_.secret)
+    if (!payload?.email) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_ALLOWED,
+        'The unsubscribe link is invalid'
+      )
+    }
+    return { email: payload.email, scope: payload.scope || null }
+  }
+
+  /**
+   * Suppresses the address and scope of an unsubscribe token.
+   * @param {string} token - token from `createUnsubscribeToken`
+   * @return {Promise<Object>} the suppression
+   */
+  async unsubscribe(token) {
+    const payload = this.verifyUnsubscribeToken(token)
+
+    return this.create({
+      email: payload.email,
+      scope: payload.scope || null,
+      reason: 'unsubscribed',
+    })
+  }
+}
+
+export default SmtpSuppressionService
@@ -0,0 +1,149 @@
+import { BaseService } from 'medusa-interfaces'
+import { signToken, verifyToken } from '../utils/tokens'
+
+const LINK_PATTERN = /(<a\b[^>]*?\shref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi
+
+/**
+ * Tracks the opens and clicks of sent emails. The html of a tracked email
+ * gets a pixel and its links go through a redirect, both identify the email
+ * with a signed token. Opens and clicks are counted on the outbox entry of
+ * the email.
+ */
+class SmtpTrackingService extends BaseService {
+  /**
+   * @param {Object} options - plugin options
+   *    trackingUrl: public url of the tracking routes, e.g.
+   *      https://api.example.com/smtp/track
+   *    secret: key used to sign tracking tokens
+   */
+  constructor({ smtpOutboxService }, options) {
+    super()
+
+    this.options_ = {
+      trackingUrl: null,
+      secret: process.env.JWT_SECRET || process.env.COOKIE_SECRET,
+      ...options,
+    }
+
+    this.smtpOutboxService_ = smtpOutboxService
+  }
+
+  /**
+   * @return {boolean} whether emails can be tracked
+   */
+  isEnabled() {
+    return Boolean(this.options_.trackingUrl && this.options_.secret)
+  }
+
+  getUrl_(type, payload) {
+    const base = this.options_.trackingUrl.replace(/\/$/, '')
+    return `${base}/${type}/${signToken(payload, this.options_.secret)}`
+  }
+
+  /**
+   * Adds the tracking pixel to the html of an email and rewrites its links.
+   * @param {string} html - rendered html of the email
+   * @param {string} outboxId - id of the outbox entry of the email
+   * @param {string[]} skip - links that are not rewritten, e.g. the
+   *    unsubscribe link
+   * @return {string} the tracked html
+   */
+  addTracking(html, outboxId, skip = []) {
+    const tracked = html.replace(LINK_PATTERN, (match, start, q, href) => {
+      const url = href.replace(/&amp;/g, '&')
+      if (skip.includes(url)) {
+        return match
+      }
+
+      const redirect = this.getUrl_('click', { m: outboxId, u: url })
+      return `${start}${q}${redirect}${q}`
+    })
+
+    const pixel = `<img src="${this.getUrl_('open', {
+      m: outboxId,
+    })}" width="1" height="1" alt="" style="display:none" />`
+
+    const end = tracked.search(/<\/body>(?![\s\S]*<\/body>)/i)
+    if (end === -1) {
+      return `${tracked}${pixel}`
+    }
+    return `${tracked.slice(0, end)}${pixel}${tracked.slice(end)}`
+  }
+
+  /**
+   * @param {string} token - token of a tracking url
+   * @return {Promise<Object|null>} the outbox entry and link of the token
+   */
+  async resolve_(token) {
+    const payload =
+      this.options_.secret && verifyToken(token, this.options_.secret)
+    if (!payload?.m) {
+      return null
+    }
+
+    try {
+      return {
+        entry: await this.smtpOutboxService_.retrieve(payload.m),
+        url: payload.u,
+      }
+    } catch (err) {
+      // the entry was dropped from the outbox, a link still redirects
+      return { entry: null, url: payload.u }
+    }
+  }
+
+  /**
+   * Counts an open of an email.
+   * @param {string} token - token of the tracking pixel
+   * @return {Promise<Object|null>} the outbox entry, null for an invalid
+   *    token
+   */
+  async recordOpen(token) {
+    const { entry } = (await this.resolve_(token)) || {}
+    if (!entry) {
+      return null
+    }
+
+    await this.smtpOutboxService_.recordEngagement(entry.id, 'open')
+    return this.smtpOutboxService_.retrieve(entry.id)
+  }
+
+  /**
+   * Counts a click on a link of an email. A click also tells the email was
+   * opened, even when its images were blocked.
+   * @param {string} token - token of the tracked link
+   * @return {Promise<string|null>} the link to redirect to, null for an
+   *    invalid token
+   */
+  async recordClick(token) {
+    const { entry, url } = (await this.resolve_(token)) || {}
+    if (!url) {
+      return null
+    }
+
+    if (entry) {
+      await this.smtpOutboxService_.recordEngagement(entry.id, 'click')
+    }
+    return url
+  }
+
+  /**
+   * Aggregates the opens and clicks of the tracked emails in the outbox.
+   * @param {Object} selector - template and event
+   * @return {Promise<Object[]>} the counts per template
+   */
+  async getStats(selector = {}) {
+    const stats = await this.smtpOutboxService_.countEngagement({
+      template: selector.template,
+      event: selector.event,
+    })
+
+    return stats.map((s) => ({
+      ...s,
+      open_rate: s.opened / s.sent,
+      click_rate: s.clicked / s.sent,
+    }))
+  }
+}
+
+export default SmtpTrackingService
@@ -1,7 +1,73 @@
+import fs from 'fs'
+import path from 'path'
 import nodemailer from 'nodemailer'
-import { humanizeAmount, zeroDecimalCurrencies } from 'medusa-core-utils'
+import { MedusaError } from 'medusa-core-utils'
 import { NotificationService } from 'medusa-interfaces'
 import Email from 'email-templates'
+import nunjucks from 'nunjucks'
+import { IsNull, Not } from 'typeorm'
+import { createTranslator, getLocaleFallbacks } from '../utils/i18n'
+import { normalizeAddress, toAddressList } from '../utils/addresses'
+import { mapWithConcurrency } from '../utils/concurrency'
+import { createRateLimiter } from '../utils/rate-limit'
+import { formatDate, formatMoney } from '../utils/format'
+import { EVENT_DATA_KEYS, HANDLED_EVENTS } from '../utils/events'
+import { secretsMatch } from '../utils/tokens'
+import { parseDelay, resolveSendAt } from '../utils/schedule'
+import {
+  getBackoffDelay,
+  isTransientError,
+  parseResponseCode,
+  sleep,
+  toStoredMessage,
+} from '../utils/retry'
+
+// outbox status of a sent email per type of delivery report, later reports
+// only replace the status of earlier ones that are less severe
+const REPORT_STATUSES = {
+  soft_bounce: 'soft_bounced',
+  hard_bounce: 'bounced',
+  complaint: 'complained',
+}
+const STATUS_SEVERITY = ['sent', 'soft_bounced', 'bounced', 'complained']
+
+// nunjucks errors span several lines
+const oneLine = (message) => message.replace(/\s*\n\s*/g, ' ')
+
+// a scheduled email claimed longer ago was left behind by a stopped server
+const SCHEDULE_CLAIM_TIMEOUT = 15 * 60 * 1000
+
+// number of carts loaded at once when looking for abandoned carts
+const CART_PAGE_SIZE = 100
+
+// scheduled emails that are due are listed this many at a time
+const SCHEDULE_PAGE_SIZE = 100
+
+// events that are not transactional, their emails can be unsubscribed from
+const UNSUBSCRIBABLE_EVENTS = [
+  'restock-notification.restocked',
+  'cart.abandoned',
+]
+
+/**
+ * @param {string} root - folder to list
+ * @param {string} dir - sub folder being listed, relative to the root
+ * @return {string[]} the files of the folder and its sub folders, relative to
+ *    the root, none when the folder is missing
+ */
+function listFiles(root, dir = '') {
+  let dirents
+  try {
+    dirents = fs.readdirSync(path.join(root, dir), { withFileTypes: true })
+  } catch (err) {
+    return []
+  }
+
+  return dirents.flatMap((dirent) => {
+    const name = path.join(dir, dirent.name)
+    return dirent.isDirectory() ? listFiles(root, name) : [name]
+  })
+}
 
 class SmtpService extends NotificationService {
   static identifier = 'smtp'
@@ -32,13 +98,131 @@ class SmtpService extends NotificationService {
       //     },
       //     requireTLS: true,
       // },
+      // instead of a single transport, several named transports can be configured
+      // transports: {
+      //     transactional: { host: "smtp.example.com", ... },
+      //     bulk: { host: "bulk.example.com", ... },
+      //     backup: { host: "backup.example.com", ... },
+      // },
+      // transport(s) used for events not in `transportMap`, defaults to the first one
+      // when a list is given the next transport is tried when the previous one fails
+      // defaultTransport: ["transactional", "backup"],
+      // transportMap: {
+      //     "restock-notification.restocked": ["bulk", "backup"],
+      // },
+      // smtp transports reuse their connections, unless the transport sets `pool` itself
+      pool: true,
+      // limits of every transport, emails over the limits wait in a queue
+      // burst is the number of emails sent at once after the transport was idle
+      rateLimit: {
+          messagesPerSecond: 10,
+          maxConcurrent: 5,
+          burst: 1,
+      },
+      // limits of single transports, replacing `rateLimit`
+      // rateLimits: {
+      //     bulk: { messagesPerSecond: 2, maxConcurrent: 1 },
+      // },
+      // "preview" writes every email to `previewPath` instead of sending it, for local development
+      mode: "send",
+      // defaults to `<storagePath>/previews`
+      previewPath: "data/smtp/previews",
       // this is the path where your email templates are stored
       emailTemplatePath: "data/emailTemplates",
+      // compiled templates are cached, set to true in development to reload them when
+      // they change, requires chokidar to be installed
+      watchTemplates: false,
+      // this is the path where the plugin writes its files, like the emails captured in preview mode
+      storagePath: "data/smtp",
+      // transient failures (4xx replies, connection resets, timeouts) are retried
+      // with an exponential backoff, delays are in ms
+      retry: {
+          maxAttempts: 3,
+          initialDelay: 1000,
+          factor: 2,
+          maxDelay: 30000,
+      },
+      // number of emails sent at the same time when emailing many recipients, like restock notifications
+      bulkConcurrency: 5,
+      // public url of the unsubscribe route, `{token}` is replaced by the token of the recipient
+      // tokens are signed with `secret`, which defaults to the JWT_SECRET environment variable
+      unsubscribeUrl: "https://api.example.com/smtp/unsubscribe?token={token}",
+      // public url of the tracking routes, opens and clicks are only tracked when it is set
+      trackingUrl: "https://api.example.com/smtp/track",
+      // whether opens and clicks are tracked for events without the `tracking` option
+      tracking: false,
+      // keys allowed to send emails through `POST /smtp/send` without an admin session
+      // `templates` and `domains` (of the recipients) restrict what a key may send
+      apiKeys: [
+          { id: "storefront", secret: process.env.SMTP_API_KEY, templates: ["contact"], domains: ["example.com"], senders: ["contact@example.com"] },
+      ],
+      // shared secret bounce reports must be posted with to `/smtp/bounces`
+      bounceToken: process.env.SMTP_BOUNCE_TOKEN,
+      // how often scheduled emails that are due are sent, in ms
+      schedulerInterval: 60000,
+      // reminders for carts with an email and items that were left without
+      // completing the checkout, sent when "cart.abandoned" is in `templateMap`
+      // durations are in ms or like "30m", "2h" or "3d"
+      abandonedCart: {
+          // time since the last change of the cart before the first reminder
+          after: "24h",
+          // time between two reminders
+          interval: "24h",
+          maxReminders: 1,
+          // carts left for longer than this are not reminded anymore
+          maxAge: "7d",
+          // link back to the cart, `{cart_id}` is replaced by the id of the cart
+          recoveryUrl: "https://shop.example.com/cart/recover?id={cart_id}",
+          // how often carts are checked
+          checkInterval: "1h",
+      },
+      // locale used by `t()` when a message is missing for the locale of the recipient
+      // message catalogs are read from `<emailTemplatePath>/locales/<locale>.(json|yml|yaml)`
+      // prices and dates are also formatted for this locale when the locale of the recipient is unknown
+      defaultLocale: "en",
+      // time zone of the store, dates are shown in it, defaults to the time zone of the server
+      timezone: "Europe/Berlin",
+      // `Intl.DateTimeFormat` options by name, `default` formats the `date` of the data,
+      // the `date` filter takes a name or options, e.g. `{{ data.order.created_at | date("long") }}`
+      dateFormats: {
+          default: { dateStyle: "medium" },
+          short: { dateStyle: "short" },
+          long: { dateStyle: "long" },
+          datetime: { dateStyle: "medium", timeStyle: "short" },
+      },
       // this maps the folder/template name to a medusajs event to use the right template
       // only the events that are registered here are subscribed to
       templateMap: {
           // "eventname": "templatename",
           "order.placed": "orderplaced",
+          // or "eventname": { template: "templatename", ...options for that event }
+          "order.shipment_created": {
+              template: "ordershipped",
+              from: "Shipping <shipping@medusajs.com>",
+              replyTo: "support@medusajs.com",
+              cc: [],
+              bcc: ["archive@medusajs.com"],
+              subject: "Order #{{ data.order.display_id }} is on its way",
+              priority: "high",
+              headers: {},
+              transport: "transactional",
+              enabled: true,
+              // whether the email can be unsubscribed from, adds `List-Unsubscribe` headers
+              // and `unsubscribe_url` to the data, a string names the list to unsubscribe from
+              // defaults to true for restock notifications and abandoned cart reminders
+              unsubscribe: false,
+              // whether opens and clicks are tracked, defaults to the global `tracking` option
+              tracking: true,
+              // internal copies built on the same data, each group takes the same
+              // options as an event plus `to`, `locale` and `attachments`
+              staff: [
+                  { to: ["warehouse@medusajs.com"], template: "pickinglist" },
+              ],
+          },
+          // not a medusa event, used to email gift cards bought as a gift to the recipient
+          "gift_card.delivery": "giftcarddelivery",
+          // not a medusa event, used for abandoned cart reminders
+          "cart.abandoned": "cartreminder",
       },
     }
    */
@@ -55,6 +239,14 @@ class SmtpService extends NotificationService {
       fulfillmentProviderService,
       totalsService,
       productVariantService,
+      giftCardService,
+      smtpOutboxService,
+      smtpSuppressionService,
+      smtpScheduleService,
+      smtpCartReminderService,
+      smtpTrackingService,
+      smtpPreviewService,
+      logger,
     },
     options
   ) {
@@ -68,10 +260,51 @@ class SmtpService extends NotificationService {
         newline: 'unix',
       },
       emailTemplatePath: 'data/emailTemplates',
+      mode: 'send',
+      pool: true,
+      watchTemplates: false,
+      defaultLocale: 'en',
+      bulkConcurrency: 5,
+      unsubscribeUrl: null,
+      tracking: false,
+      bounceToken: process.env.SMTP_BOUNCE_TOKEN,
       templateMap: {
         'order.placed': 'orderplaced',
       },
       ...options,
+      retry: {
+        maxAttempts: 3,
+        initialDelay: 1000,
+        factor: 2,
+        maxDelay: 30000,
+        ...options?.retry,
+      },
+      dateFormats: {
+        default: { dateStyle: 'medium' },
+        short: { dateStyle: 'short' },
+        long: { dateStyle: 'long' },
+        datetime: { dateStyle: 'medium', timeStyle: 'short' },
+        ...options?.dateFormats,
+      },
+      abandonedCart: {
+        after: '24h',
+        interval: '24h',
+        maxReminders: 1,
+        maxAge: '7d',
+        recoveryUrl: null,
+        checkInterval: '1h',
+        ...options?.abandonedCart,
+      },
+    }
+
+    // an unknown time zone would fail every email with a date
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone: this.options_.timezone })
+    } catch (err) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `Unknown time zone "${this.options_.timezone}"`
+      )
     }
 
     this.fulfillmentProviderService_ = fulfillmentProviderService
@@ -85,7 +318,121 @@ class SmtpService extends NotificationService {
     this.fulfillmentService_ = fulfillmentService
     this.totalsService_ = totalsService
     this.productVariantService_ = productVariantService
-    this.transporter = nodemailer.createTransport(this.options_.transport)
+    this.giftCardService_ = giftCardService
+    this.smtpOutboxService_ = smtpOutboxService
+    this.smtpSuppressionService_ = smtpSuppressionService
+    this.smtpScheduleService_ = smtpScheduleService
+    this.smtpCartReminderService_ = smtpCartReminderService
+    this.smtpTrackingService_ = smtpTrackingService
+    this.smtpPreviewService_ = smtpPreviewService
+    this.logger_ = logger
+
+    // a single `transport` is the same as a transport named "default"
+    const transports = this.options_.transports || {
+      default: this.options_.transport,
+    }
+    this.transporters_ = {}
+    this.rateLimiters_ = {}
+    for (const [name, config] of Object.entries(transports)) {
+      this.rateLimiters_[name] = createRateLimiter(
+        this.options_.rateLimits?.[name] || this.options_.rateLimit
+      )
+      // in preview mode every transport only generates the email
+      this.transporters_[name] = nodemailer.createTransport(
+        this.options_.mode === 'preview'
+          ? { streamTransport: true, buffer: true }
+          : this.withPool_(config)
+      )
+    }
+
+    this.defaultTransports_ = this.toTransportList_(
+      this.options_.defaultTransport || Object.keys(this.transporters_)[0]
+    )
+    Object.values(this.options_.transportMap || {}).forEach((names) =>
+      this.toTransportList_(names)
+    )
+    // unknown transports of events fail on startup, not when sending
+    for (const event of Object.keys(this.options_.templateMap || {})) {
+      const config = this.getEventConfig_(event)
+      const configs = config ? [config, ...(config.staff || [])] : []
+      for (const { transport } of configs) {
+        if (transport) {
+          this.toTransportList_(transport)
+        }
+      }
+    }
+    this.transporter = this.transporters_[this.defaultTransports_[0]]
+
+    this.translate_ = this.createTranslator_()
+    // `.njk` files of the template folder, listed on the first render
+    this.templateFiles_ = null
+
+    // compiled templates are cached by the loaders, templates may also include
+    // files relative to the working directory
+    this.nunjucksEnv_ = new nunjucks.Environment([
+      new nunjucks.FileSystemLoader(
+        path.resolve(this.options_.emailTemplatePath)
+      ),
+      new nunjucks.FileSystemLoader(),
+    ])
+    if (this.options_.watchTemplates) {
+      this.watchTemplates_()
+    }
+    // `this` is the render context, so the locale of the email being rendered
+    // is available to the global
+    const translate = (...args) => this.translate_(...args)
+    this.nunjucksEnv_.addGlobal('t', function (key, params) {
+      const locale = this.ctx.locale || this.ctx.data?.locale
+      return translate(locale, key, params)
+    })
+    // formats raw amounts, e.g. `{{ data.amounts.total | money(data.currency_code) }}`
+    const defaultLocale = this.options_.defaultLocale
+    this.nunjucksEnv_.addFilter('money', function (amount, currencyCode) {
+      const locale = this.ctx.locale || this.ctx.data?.locale
+      return formatMoney(amount, currencyCode, locale || defaultLocale)
+    })
+    // formats timestamps, e.g. `{{ data.order.created_at | date("long") }}`
+    const formatDateFor = (value, locale, format) =>
+      this.formatDate_(value, locale, format)
+    this.nunjucksEnv_.addFilter('date', function (value, format) {
+      const locale = this.ctx.locale || this.ctx.data?.locale
+      return formatDateFor(value, locale, format)
+    })
+
+    // compiled `subject` options of the events
+    this.subjectTemplates_ = new Map()
+
+    this.email_ = new Email({
+      message: {
+        from: this.options_.fromEmail,
+      },
+      transport: this.transporter,
+      views: {
+        root: this.options_.emailTemplatePath,
+        options: {
+          extension: 'njk',
+        },
+      },
+      getPath: (type, template, locals) =>
+        this.getTemplatePath_(
+          type,
+          template,
+          locals.locale || locals.data?.locale
+        ),
+      render: (view, locals) => this.renderTemplate_(view, locals),
+      send: true,
+    })
+
+    // broken templates are reported on startup rather than when a customer
+    // email fails
+    for (const t of this.validateTemplates().templates) {
+      t.errors.forEach((e) =>
+        this.logger_.error(`smtp: template ${t.template} of ${t.event}: ${e}`)
+      )
+      t.warnings.forEach((w) =>
+        this.logger_.warn(`smtp: template ${t.template} of ${t.event}: ${w}`)
+      )
+    }
   }
 
   async fetchAttachments(event, data, attachmentGenerator) {
@@ -166,187 +513,1659 @@ class SmtpService extends NotificationService {
           eventData,
           attachmentGenerator
         )
+      case 'cart.abandoned':
+        return this.abandonedCartData(eventData, attachmentGenerator)
       default:
         return eventData;
     }
   }
 
+  /**
+   * Returns the configuration of an event in `templateMap`. An entry is either
+   * the name of a template or an object with a `template` and optionally
+   * `from`, `replyTo`, `cc`, `bcc`, `subject`, `priority`, `headers`,
+   * `transport` and `enabled`.
+   * @param {string} eventName - name of the event
+   * @return {Object|null} the configuration, null for unmapped or disabled events
+   */
+  getEventConfig_(eventName) {
+    const entry = eventName && this.options_.templateMap[eventName]
+    if (!entry) {
+      return null
+    }
+
+    const config = typeof entry === 'string' ? { template: entry } : entry
+    if (config.enabled === false || !config.template) {
+      return null
+    }
+
+    return config
+  }
+
   getTemplateNameForEvent(eventName) {
-    return this.options_.templateMap[eventName] || false
+    return this.getEventConfig_(eventName)?.template || false
   }
 
-  async sendNotification(event, eventData, attachmentGenerator) {
-    let templateName = this.getTemplateNameForEvent(event)
+  /**
+   * Finds the most specific localized version of a template file. Localized
+   * files live in a sub folder of the template named after the locale, e.g.
+   * `orderplaced/de-AT/html.njk`. Files missing from the localized folder
+   * fall back to the base template.
+   * @param {string} type - html, text or subject
+   * @param {string} template - template folder from `templateMap`
+   * @param {string} locale - locale of the recipient
+   * @return {string} the template file to render, relative to the template root
+   */
+  getTemplatePath_(type, template, locale) {
+    const root = path.resolve(this.options_.emailTemplatePath)
+    const folder = path.resolve(root, template)
+    if (!folder.startsWith(`${root}${path.sep}`)) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `Template ${template} is outside of the template folder`
+      )
+    }
 
-    if (!templateName) {
-      return {
-        to: '',
-        status: 'noDataFound',
-        data: {},
+    for (const candidate of getLocaleFallbacks(locale)) {
+      const localized = path.join(template, candidate, type)
+      if (this.hasTemplateFile_(`${localized}.njk`)) {
+        return localized
       }
     }
 
-    const data = await this.fetchData(event, eventData, attachmentGenerator)
-    const attachments = await this.fetchAttachments(
-      event,
-      data,
-      attachmentGenerator
+    return path.join(template, type)
+  }
+
+  /**
+   * Checks that every template of `templateMap`, staff copies included,
+   * exists in `emailTemplatePath` with an `html.njk` and a subject, and that
+   * all its files, localized ones included, compile.
+   * @return {Object} whether all templates are valid and the errors and
+   *    warnings of every template
+   */
+  validateTemplates() {
+    const entries = []
+    for (const event of Object.keys(this.options_.templateMap)) {
+      const config = this.getEventConfig_(event)
+      if (!config) {
+        continue
+      }
+
+      entries.push({ event, config, staff: false })
+      for (const group of config.staff || []) {
+        if (group.enabled !== false && group.template) {
+          entries.push({ event, config: group, staff: true })
+        }
+      }
+    }
+
+    const templates = entries.map(({ event, config, staff }) => {
+      const errors = []
+      const warnings = []
+      const folder = path.resolve(
+        this.options_.emailTemplatePath,
+        config.template
+      )
+
+      if (!HANDLED_EVENTS.includes(event)) {
+        warnings.push(`no subscriber sends emails for ${event}`)
+      }
+
+      if (config.subject) {
+        try {
+          nunjucks.compile(config.subject, this.nunjucksEnv_, null, true)
+        } catch (err) {
+          errors.push(`subject option: ${oneLine(err.message)}`)
+        }
+      }
+
+      if (!fs.existsSync(folder)) {
+        errors.push(`folder ${folder} does not exist`)
+        return { event, template: config.template, staff, errors, warnings }
+      }
+
+      if (!fs.existsSync(path.join(folder, 'html.njk'))) {
+        errors.push('html.njk is missing')
+      }
+      const hasSubject =
+        config.subject || fs.existsSync(path.join(folder, 'subject.njk'))
+      if (!hasSubject) {
+        errors.push('subject.njk is missing')
+      }
+
+      // the template and its localized versions in sub folders
+      const files = fs
+        .readdirSync(folder, { withFileTypes: true })
+        .flatMap((dirent) =>
+          dirent.isDirectory()
+            ? fs
+                .readdirSync(path.join(folder, dirent.name))
+                .map((name) => path.join(dirent.name, name))
+            : [dirent.name]
+        )
+        .filter((name) => name.endsWith('.njk'))
+
+      for (const file of files) {
+        const filePath = path.join(folder, file)
+        try {
+          nunjucks.compile(
+            fs.readFileSync(filePath, 'utf8'),
+            this.nunjucksEnv_,
+            filePath,
+            true
+          )
+        } catch (err) {
+          errors.push(`${file}: ${oneLine(err.message)}`)
+        }
+      }
+
+      return { event, template: config.template, staff, errors, warnings }
+    })
+
+    return {
+      valid: templates.every((t) => t.errors.length === 0),
+      templates,
+    }
+  }
+
+  toTransportList_(names) {
+    const list = Array.isArray(names) ? names : [names]
+    for (const name of list) {
+      if (!this.transporters_[name]) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Unknown smtp transport "${name}", configured transports are: ${Object.keys(
+            this.transporters_
+          ).join(', ')}`
+        )
+      }
+    }
+    return list
+  }
+
+  /**
+   * Returns the names of the transports to send an email with, in the order
+   * they are tried.
+   * @param {string} event - name of the event
+   * @param {Object} config - options of the email, see `getEventConfig_`
+   * @return {string[]} transport names
+   */
+  getTransports_(event, config = {}) {
+    const names =
+      config.transport || (event && this.options_.transportMap?.[event])
+    return names ? this.toTransportList_(names) : this.defaultTransports_
+  }
+
+  /**
+   * Only smtp transports can pool their connections.
+   * @param {Object|string} config - nodemailer transport options
+   * @return {Object|string} the options with `pool` set
+   */
+  withPool_(config) {
+    const isSmtp =
+      config && typeof config === 'object' && (config.host || config.service)
+    if (!isSmtp || config.pool !== undefined) {
+      return config
+    }
+    return { ...config, pool: this.options_.pool }
+  }
+
+  /**
+   * @return {Function} translate(locale, key, params) with the catalogs of
+   *    the `locales` folder of the templates
+   */
+  createTranslator_() {
+    return createTranslator({
+      directory: path.resolve(this.options_.emailTemplatePath, 'locales'),
+      defaultLocale: this.options_.defaultLocale,
+    })
+  }
+
+  /**
+   * @param {string} name - template file, relative to the template root
+   * @return {boolean} whether the file exists, without touching the disk
+   *    after the template folder was listed once
+   */
+  hasTemplateFile_(name) {
+    if (!this.templateFiles_) {
+      this.templateFiles_ = new Set(
+        listFiles(path.resolve(this.options_.emailTemplatePath))
+      )
+    }
+    return this.templateFiles_.has(path.normalize(name))
+  }
+
+  /**
+   * Watches the template folder. Any change drops the compiled templates and
+   * the list of template files, a change in `locales` reloads the
+   * translations.
+   */
+  watchTemplates_() {
+    // optional dependency, only needed when watching
+    const chokidar = require('chokidar')
+    const root = path.resolve(this.options_.emailTemplatePath)
+    const locales = path.join(root, 'locales')
+
+    this.templateWatcher_ = chokidar
+      .watch(root, { ignoreInitial: true })
+      .on('all', (event, file) => {
+        this.templateFiles_ = null
+        this.nunjucksEnv_.invalidateCache()
+        if (path.resolve(file).startsWith(`${locales}${path.sep}`)) {
+          this.translate_ = this.createTranslator_()
+        }
+      })
+  }
+
+  /**
+   * Renders a template file with the cached compiled template. Missing files
+   * render nothing, e.g. a template without `text.njk`.
+   * @param {string} view - template file without extension, relative to the
+   *    template root
+   * @param {Object} locals - data of the template
+   * @return {Promise<string|undefined>} the rendered file
+   */
+  async renderTemplate_(view, locals) {
+    const name = `${view}.njk`
+    if (!this.hasTemplateFile_(name)) {
+      return undefined
+    }
+
+    const res = await new Promise((resolve, reject) =>
+      this.nunjucksEnv_.render(name, locals, (err, out) =>
+        err ? reject(err) : resolve(out)
+      )
     )
+    if (path.basename(view) !== 'html') {
+      return res
+    }
+    return this.email_.juiceResources(res)
+  }
 
-    const sendOptions = {
-      template: templateName,
+  /**
+   * Renders subject, html and text of an email. The sender, reply-to, copies,
+   * priority, headers and subject of the config are used unless the message
+   * sets them.
+   * @param {Object} sendOptions - template, message and locals
+   * @param {Object} config - options of the email, see `getEventConfig_`
+   * @return {Promise<Object>} the nodemailer message
+   */
+  async renderMessage_({ template, message = {}, locals = {} }, config = {}) {
+    const renderLocals = { ...this.email_.config.views.locals, ...locals }
+
+    const defaults = { from: config.from || this.options_.fromEmail }
+    for (const key of ['replyTo', 'cc', 'bcc', 'priority']) {
+      if (config[key]) {
+        defaults[key] = config[key]
+      }
+    }
+
+    // the subject of the event may be a template itself, e.g. "Order #{{ data.display_id }}"
+    if (config.subject && !message.subject) {
+      if (!this.subjectTemplates_.has(config.subject)) {
+        this.subjectTemplates_.set(
+          config.subject,
+          nunjucks.compile(config.subject, this.nunjucksEnv_)
+        )
+      }
+      defaults.subject = this.subjectTemplates_
+        .get(config.subject)
+        .render(renderLocals)
+    }
+
+    const overrides = Object.fromEntries(
+      Object.entries(message).filter(([, value]) => value !== undefined)
+    )
+    if (config.headers) {
+      overrides.headers = { ...config.headers, ...message.headers }
+    }
+
+    return this.email_.renderAll(template, renderLocals, {
+      ...defaults,
+      ...overrides,
+    })
+  }
+
+  /**
+   * Sends a message with the first transport that accepts it. Each transport
+   * sends once its rate limit allows it.
+   * @param {Object} message - the nodemailer message
+   * @param {string[]} transports - names of the transports to try in order
+   * @return {Promise<Object>} the nodemailer result and the transport used
+   */
+  async sendMail_(message, transports) {
+    const errors = []
+    for (const [i, name] of transports.entries()) {
+      try {
+        const res = await this.rateLimiters_[name](() =>
+          this.transporters_[name].sendMail(message)
+        )
+        return { res, transport: name }
+      } catch (err) {
+        errors.push(err)
+        if (i < transports.length - 1) {
+          this.logger_.warn(
+            `smtp: transport ${name} failed (${err.message}), failing over to ${
+              transports[i + 1]
+            }`
+          )
+        }
+      }
+    }
+
+    // the last error is reported, the email is retried when any transport
+    // failed transiently
+    const lastError = errors[errors.length - 1]
+    lastError.transportErrors = errors
+    throw lastError
+  }
+
+  /**
+   * Finds the order an email is about, used to search the outbox by order.
+   * @param {string} event - name of the event
+   * @param {Object} data - data the email was rendered with
+   * @return {string|null} id of the order
+   */
+  getOrderId_(event, data) {
+    if (!data) {
+      return null
+    }
+
+    if (data.order?.id) {
+      return data.order.id
+    }
+
+    return event?.startsWith('order.') ? data.id || null : null
+  }
+
+  /**
+   * Returns the scope recipients unsubscribe from, for emails that can be
+   * unsubscribed from. It is the `unsubscribe` option of the event when it is
+   * a string, the name of the event otherwise.
+   * @param {Object} context - event and optionally scope of the email
+   * @param {Object} config - configuration of the event
+   * @return {string|null} the scope, null for transactional emails
+   */
+  getUnsubscribeScope_(context, config) {
+    if (context.scope !== undefined) {
+      return context.scope
+    }
+
+    const unsubscribe =
+      config.unsubscribe ?? UNSUBSCRIBABLE_EVENTS.includes(context.event)
+    if (!unsubscribe) {
+      return null
+    }
+
+    return typeof unsubscribe === 'string' ? unsubscribe : context.event
+  }
+
+  /**
+   * Adds the unsubscribe link of the recipient to the data and the
+   * `List-Unsubscribe` headers of an email that has a single recipient.
+   * @param {Object} sendOptions - options passed to `Email.send`
+   * @param {string} scope - scope to unsubscribe from
+   * @return {Object} the send options
+   */
+  withUnsubscribe_(sendOptions, scope) {
+    const { message, locals = {} } = sendOptions
+    const recipients = toAddressList(message.to)
+    if (!scope || recipients.length !== 1) {
+      return sendOptions
+    }
+
+    const url = this.getUnsubscribeUrl_(
+      this.smtpSuppressionService_.createUnsubscribeToken(recipients[0], scope)
+    )
+    if (!url) {
+      return sendOptions
+    }
+
+    return {
+      ...sendOptions,
       message: {
-        to: data.email,
+        ...message,
+        headers: {
+          'List-Unsubscribe': `<${url}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+          ...message.headers,
+        },
       },
       locals: {
-        data: data,
-        env: process.env,
+        ...locals,
+        data: { unsubscribe_url: url, ...locals.data },
       },
     }
+  }
+
+  /**
+   * Removes the suppressed addresses from the recipients of a message.
+   * @param {Object} message - the rendered message
+   * @param {string} scope - scope of the email, null for transactional emails
+   * @return {Promise<string[]>} the addresses that were removed
+   */
+  async removeSuppressed_(message, scope) {
+    const suppressed = []
+    for (const key of ['to', 'cc', 'bcc']) {
+      if (!message[key]) {
+        continue
+      }
+
+      const recipients = Array.isArray(message[key])
+        ? message[key]
+        : [message[key]]
+      const kept = []
+      for (const r of recipients.flatMap((r) =>
+        typeof r === 'string' ? r.split(',') : [r]
+      )) {
+        const address = typeof r === 'string' ? r.trim() : r?.address
+        if (await this.smtpSuppressionService_.isSuppressed(address, scope)) {
+          suppressed.push(address)
+        } else if (address) {
+          kept.push(r)
+        }
+      }
+      message[key] = kept
+    }
+    return suppressed
+  }
+
+  /**
+   * Sends an email and records the attempt in the outbox. The email is
+   * rendered once, then handed to the transports of the event in order.
+   * Suppressed recipients are removed first, the email is not sent when no
+   * recipient is left. Transient failures are retried, see `sendRendered_`.
+   * @param {Object} sendOptions - options passed to `Email.send`
+   * @param {Object} context - event and order_id the email belongs to and
+   *    optionally the config to send it with, defaults to the one of the
+   *    event, the scope recipients can unsubscribe from and whether to
+   *    track opens and clicks
+   * @return {Promise<Object>} the outbox entry of the attempt
+   */
+  async deliver_(sendOptions, context = {}) {
+    const config = context.config || this.getEventConfig_(context.event) || {}
+    const scope = this.getUnsubscribeScope_(context, config)
+    sendOptions = this.withUnsubscribe_(sendOptions, scope)
+
+    const { message } = sendOptions
+    const transports = this.getTransports_(context.event, config)
+    let entry = await this.smtpOutboxService_.create({
+      event: context.event || null,
+      order_id: context.order_id || null,
+      template: sendOptions.template,
+      from: message.from || this.options_.fromEmail,
+      to: toAddressList(message.to),
+    })
+
+    let rendered
+    try {
+      rendered = await this.renderMessage_(sendOptions, config)
+    } catch (err) {
+      return this.recordFailure_(entry, err, 1)
+    }
+
+    const suppressed = await this.removeSuppressed_(rendered, scope)
+    if (!toAddressList(rendered.to).length) {
+      this.logger_.info(
+        `smtp: not sending ${sendOptions.template} to ${suppressed.join(
+          ', '
+        )}, the address is suppressed`
+      )
+      return this.smtpOutboxService_.update(entry.id, {
+        status: 'suppressed',
+        suppressed,
+        from: rendered.from,
+        subject: rendered.subject || null,
+      })
+    }
+
+    // the entry only lists the recipients the email is sent to
+    if (suppressed.length) {
+      entry = await this.smtpOutboxService_.update(entry.id, {
+        ...this.getMessageDetails_(rendered),
+        suppressed,
+      })
+    }
+
+    const tracking =
+      context.tracking ?? config.tracking ?? this.options_.tracking
+    if (tracking && rendered.html && this.smtpTrackingService_.isEnabled()) {
+      rendered.html = this.smtpTrackingService_.addTracking(
+        rendered.html,
+        entry.id,
+        [sendOptions.locals?.data?.unsubscribe_url]
+      )
+      await this.smtpOutboxService_.update(entry.id, { tracked: true })
+    }
+
+    return this.sendRendered_(entry, rendered, transports)
+  }
+
+  /**
+   * Sends a rendered email. Transient failures of any of the transports are
+   * retried with exponential backoff until `retry.maxAttempts` is reached.
+   * Every retry is stored as a scheduled email before waiting for it, so the
+   * scheduler resumes it when the server stops in the meantime.
+   * @param {Object} entry - outbox entry of the email
+   * @param {Object} message - the rendered message
+   * @param {string[]} transports - names of the transports to try in order
+   * @param {number} attempt - number of the attempt, starting at 1
+   * @param {string} retryId - id of the claimed scheduled retry this attempt
+   *    resumes
+   * @return {Promise<Object>} the outbox entry of the email
+   */
+  async sendRendered_(entry, message, transports, attempt = 1, retryId) {
+    const retry = this.options_.retry
+    for (; ; attempt++) {
+      let result
+      let err
+      try {
+        result = await this.sendMail_(message, transports)
+      } catch (e) {
+        err = e
+      }
+
+      if (result && this.options_.mode === 'preview') {
+        const captured = await this.capturePreview_(entry, message, result.res)
+        return this.finishRetry_(retryId, captured)
+      }
+
+      if (result) {
+        const { res, transport } = result
+        const sent = await this.smtpOutboxService_.update(entry.id, {
+          status: 'sent',
+          ...this.getMessageDetails_(message),
+          attempts: attempt,
+          transport,
+          message_id: res.messageId || null,
+          response: res.response || null,
+          response_code: parseResponseCode(res.response),
+          accepted: toAddressList(res.accepted),
+          rejected: toAddressList(res.rejected),
+          error: null,
+          error_code: null,
+          next_attempt_at: null,
+          sent_at: new Date(),
+        })
+
+        this.logger_.info(
+          `smtp: sent ${sent.template} to ${sent.to.join(', ')} (${
+            sent.message_id
+          })`
+        )
+        return this.finishRetry_(retryId, sent)
+      }
+
+      if (attempt >= retry.maxAttempts || !isTransientError(err)) {
+        const failed = await this.recordFailure_(entry, err, attempt, message)
+        return this.finishRetry_(retryId, failed)
+      }
+
+      const delay = getBackoffDelay(attempt, retry)
+      const nextAttemptAt = new Date(Date.now() + delay)
+      this.logger_.warn(
+        `smtp: attempt ${attempt} to send ${this.describeFailure_(
+          entry,
+          err
+        )}, retrying in ${delay}ms`
+      )
+      const retrying = await this.smtpOutboxService_.update(entry.id, {
+        ...this.getFailureDetails_(err, attempt),
+        status: 'retrying',
+        next_attempt_at: nextAttemptAt,
+      })
+      await this.finishRetry_(retryId, retrying)
+
+      const scheduled = await this.smtpScheduleService_.create({
+        send_at: nextAttemptAt,
+        outbox_id: entry.id,
+        email: {
+          event: entry.event,
+          templateName: entry.template,
+          to: entry.to,
+          message: toStoredMessage(message),
+          transports,
+          attempt: attempt + 1,
+        },
+      })
+
+      await sleep(delay)
+      if (!(await this.smtpScheduleService_.claim(scheduled.id))) {
+        // another server instance resumed the retry
+        return this.smtpOutboxService_.retrieve(entry.id)
+      }
+      retryId = scheduled.id
+    }
+  }
+
+  /**
+   * Resumes a retry stored by `sendRendered_`.
+   * @param {Object} scheduled - the claimed scheduled retry
+   * @return {Promise<Object>} the outbox entry of the email
+   */
+  async resumeRetry_(scheduled) {
+    const { message, transports, attempt } = scheduled.email
+    const entry = await this.smtpOutboxService_.retrieve(scheduled.outbox_id)
+    return this.sendRendered_(
+      entry,
+      message,
+      this.toTransportList_(transports),
+      attempt,
+      scheduled.id
+    )
+  }
+
+  /**
+   * Marks a scheduled retry as processed with the outcome of its attempt,
+   * `retried` when the attempt failed and the email is retried again.
+   * @param {string} retryId - id of the scheduled retry, if any
+   * @param {Object} entry - outbox entry after the attempt
+   * @return {Promise<Object>} the outbox entry
+   */
+  async finishRetry_(retryId, entry) {
+    if (retryId) {
+      await this.smtpScheduleService_.update(retryId, {
+        status: entry.status === 'retrying' ? 'retried' : entry.status,
+        delivery: this.getDeliveryDetails_(entry),
+        processed_at: new Date(),
+      })
+    }
+    return entry
+  }
+
+  getFailureDetails_(err, attempt) {
+    return {
+      attempts: attempt,
+      response: err.response || null,
+      response_code: err.responseCode || parseResponseCode(err.response),
+      rejected: toAddressList(err.rejected),
+      error: err.message,
+      error_code: err.code || null,
+    }
+  }
+
+  describeFailure_(entry, err) {
+    const { error_code, response_code, rejected } = this.getFailureDetails_(err)
+    return `${entry.template} to ${entry.to.join(', ')}: ${
+      err.message
+    } (code: ${error_code}, response code: ${response_code}, rejected: ${
+      rejected.join(', ') || 'none'
+    })`
+  }
+
+  /**
+   * @param {Object} message - the rendered message
+   * @return {Object} the sender, recipients and subject of the message as
+   *    stored in the outbox
+   */
+  getMessageDetails_(message) {
+    return {
+      from: message.from,
+      to: toAddressList(message.to),
+      cc: toAddressList(message.cc),
+      bcc: toAddressList(message.bcc),
+      subject: message.subject || null,
+    }
+  }
+
+  /**
+   * Marks an email as failed for good.
+   * @param {Object} entry - outbox entry of the email
+   * @param {Error} err - error of the last attempt
+   * @param {number} attempt - number of the last attempt
+   * @param {Object} message - the rendered message, if the email was
+   *    rendered
+   * @return {Promise<Object>} the outbox entry
+   */
+  async recordFailure_(entry, err, attempt, message) {
+    this.logger_.error(
+      `smtp: failed to send ${this.describeFailure_(
+        entry,
+        err
+      )} after ${attempt} attempt(s)`
+    )
+    return this.smtpOutboxService_.update(entry.id, {
+      ...(message && this.getMessageDetails_(message)),
+      ...this.getFailureDetails_(err, attempt),
+      status: 'failed',
+      next_attempt_at: null,
+      failed_at: new Date(),
+    })
+  }
+
+  /**
+   * Writes an email generated in preview mode to the preview folder instead
+   * of sending it.
+   * @param {Object} entry - outbox entry of the email
+   * @param {Object} rendered - the rendered message
+   * @param {Object} res - result of the stream transport
+   * @return {Promise<Object>} the outbox entry of the email
+   */
+  async capturePreview_(entry, rendered, res) {
+    const preview = await this.smtpPreviewService_.create(
+      entry,
+      rendered,
+      res.message
+    )
+
+    const captured = await this.smtpOutboxService_.update(entry.id, {
+      status: 'sent',
+      attempts: 1,
+      ...this.getMessageDetails_(rendered),
+      transport: 'preview',
+      message_id: res.messageId || null,
+      preview_id: preview.id,
+      sent_at: new Date(),
+    })
+
+    this.logger_.info(
+      `smtp: captured ${captured.template} to ${captured.to.join(
+        ', '
+      )} in ${preview.eml}`
+    )
+    return captured
+  }
+
+  /**
+   * Summarizes an outbox entry for the result of a send, so the notification
+   * Medusa stores tells what happened to the email.
+   * @param {Object} entry - outbox entry
+   * @return {Object} delivery details
+   */
+  getDeliveryDetails_(entry) {
+    return {
+      outbox_id: entry.id,
+      status: entry.status,
+      attempts: entry.attempts,
+      transport: entry.transport,
+      message_id: entry.message_id,
+      response: entry.response,
+      response_code: entry.response_code,
+      accepted: entry.accepted,
+      rejected: entry.rejected,
+      error: entry.error,
+      error_code: entry.error_code,
+    }
+  }
+
+  async sendNotification(event, eventData, attachmentGenerator) {
+    let templateName = this.getTemplateNameForEvent(event)
+
+    if (!templateName) {
+      return {
+        to: '',
+        status: 'noDataFound',
+        data: {},
+      }
+    }
+
+    const data = await this.fetchData(event, eventData, attachmentGenerator)
+    if (!data) {
+      return {
+        to: '',
+        status: 'noDataFound',
+        data: {},
+      }
+    }
+
+    const attachments = await this.fetchAttachments(
+      event,
+      data,
+      attachmentGenerator
+    )
+
+    const sendOptions = {
+      template: templateName,
+      message: {
+        to: data.email,
+      },
+      locals: {
+        data: data,
+        env: process.env,
+      },
+    }
+
+    if (attachments?.length) {
+      sendOptions.message.attachments = attachments.map((a) => {
+        return {
+          content: a.base64,
+          filename: a.name,
+          type: a.type,
+          disposition: 'attachment',
+          contentId: a.name,
+        }
+      })
+    }
+
+    const orderId = this.getOrderId_(event, data)
+    const entry = await this.deliver_(sendOptions, {
+      event,
+      order_id: orderId,
+    })
+    const staff = await this.sendStaffCopies_(
+      event,
+      data,
+      orderId,
+      sendOptions.message.attachments
+    )
+    const giftCardDelivery = data.recipient
+      ? await this.sendGiftCardDelivery_(event, data)
+      : undefined
+    const delivery = this.getDeliveryDetails_(entry)
+    delete sendOptions.message.attachments
+    return {
+      to: sendOptions.message.to,
+      status: entry.status,
+      delivery,
+      staff,
+      gift_card_delivery: giftCardDelivery,
+      data: { ...sendOptions.locals.data, delivery },
+    }
+  }
+
+  /**
+   * Emails a gift card bought as a gift to its recipient with the template of
+   * `gift_card.delivery` in `templateMap`. When the gift card has a future
+   * `delivery_date` the email is scheduled for that date.
+   *
+   * Medusa emits both `gift_card.created` and `order.gift_card_created` for a
+   * gift card bought in an order, the recipient is only emailed for
+   * `gift_card.created`, or for `order.gift_card_created` when only that one
+   * is mapped.
+   * @param {string} event - name of the gift card event
+   * @param {Object} data - data of the gift card, see `gcCreatedData`
+   * @return {Promise<Object|null>} result of `sendEmail`, null when no
+   *    delivery template is configured or the other gift card event emails
+   *    the recipient
+   */
+  async sendGiftCardDelivery_(event, data) {
+    const deliveringEvent = this.getTemplateNameForEvent('gift_card.created')
+      ? 'gift_card.created'
+      : 'order.gift_card_created'
+    if (event !== deliveringEvent) {
+      return null
+    }
+
+    const deliveryEvent = 'gift_card.delivery'
+    const templateName = this.getTemplateNameForEvent(deliveryEvent)
+    if (!templateName) {
+      return null
+    }
+
+    const { recipient } = data
+    let sendAt
+    if (recipient.delivery_date) {
+      sendAt = new Date(recipient.delivery_date)
+      if (isNaN(sendAt.getTime())) {
+        this.logger_.warn(
+          `smtp: invalid delivery date ${recipient.delivery_date} for gift card ${data.id}, delivering now`
+        )
+        sendAt = undefined
+      }
+    }
+
+    return this.sendEmail({
+      templateName,
+      to: recipient.email,
+      event: deliveryEvent,
+      order_id: data.order_id,
+      send_at: sendAt,
+      data: {
+        ...data,
+        email: recipient.email,
+        purchaser_email: data.email,
+      },
+    })
+  }
+
+  /**
+   * Sends the internal emails configured with `staff` for an event, built on
+   * the same data as the customer email. Every group has its own recipients
+   * and template and is rendered in its own locale, `defaultLocale` if unset.
+   * @param {string} event - name of the event
+   * @param {Object} data - data fetched for the event
+   * @param {string} orderId - order the event is about
+   * @param {Object[]} attachments - attachments of the customer email, only
+   *    added for groups with `attachments: true`
+   * @return {Promise<Object[]>} the result of every group
+   */
+  async sendStaffCopies_(event, data, orderId, attachments) {
+    const groups = (this.getEventConfig_(event)?.staff || []).filter(
+      (group) => group.enabled !== false && group.template && group.to
+    )
+
+    return Promise.all(
+      groups.map(async (group) => {
+        const sendOptions = {
+          template: group.template,
+          message: {
+            to: group.to,
+          },
+          locals: {
+            data,
+            env: process.env,
+            locale: group.locale || this.options_.defaultLocale,
+          },
+        }
+
+        if (group.attachments && attachments?.length) {
+          sendOptions.message.attachments = attachments
+        }
+
+        const entry = await this.deliver_(sendOptions, {
+          event,
+          order_id: orderId,
+          config: group,
+          scope: null,
+          tracking: false,
+        })
+
+        return {
+          to: toAddressList(group.to),
+          template: group.template,
+          status: entry.status,
+          delivery: this.getDeliveryDetails_(entry),
+        }
+      })
+    )
+  }
+
+  async resendNotification(notification, config, attachmentGenerator) {
+    let templateName = this.getTemplateNameForEvent(notification.event_name)
+    if (!templateName) {
+      return {
+        to: notification.to,
+        status: 'noTemplateFound',
+        data: notification.data,
+      }
+    }
+    const sendOptions = {
+      template: templateName,
+      message: {
+        to: config.to || notification.to,
+      },
+      locals: {
+        data: notification.data,
+        env: process.env,
+      },
+    }
+
+    const attachments = await this.fetchAttachments(
+      notification.event_name,
+      notification.data.dynamic_template_data,
+      attachmentGenerator
+    )
+
+    sendOptions.message.attachments = attachments.map((a) => {
+      return {
+        content: a.base64,
+        filename: a.name,
+        type: a.type,
+        disposition: 'attachment',
+        contentId: a.name,
+      }
+    })
+
+    const entry = await this.deliver_(sendOptions, {
+      event: notification.event_name,
+      order_id: this.getOrderId_(notification.event_name, notification.data),
+    })
+    const delivery = this.getDeliveryDetails_(entry)
+    delete sendOptions.message.attachments
+    return {
+      to: sendOptions.message.to,
+      status: entry.status,
+      delivery,
+      data: { ...sendOptions.locals.data, delivery },
+    }
+  }
+
+  /**
+   * Sends an email using smtp.
+   * @param {Object} options
+   * @param {string} options.templateName - name of template
+   * @param {string} options.from - optional sender, defaults to the one of
+   *    the event or `fromEmail`
+   * @param {string|string[]} options.to - receivers of email
+   * @param {string|string[]} options.cc - optional copy receivers
+   * @param {string|string[]} options.bcc - optional blind copy receivers
+   * @param {string} options.replyTo - optional reply address
+   * @param {string} options.subject - optional subject, overrides the one of
+   *    the template
+   * @param {Object} options.headers - optional extra headers
+   * @param {Object[]} options.attachments - optional attachments, with a
+   *    filename, contentType and either base64 content or a url
+   * @param {Object} options.data - data to send in mail (match with template),
+   *    when omitted the options themselves are the data
+   * @param {string} options.locale - optional locale used to pick a localized
+   *    template
+   * @param {string} options.event - optional event recorded in the outbox
+   * @param {string} options.order_id - optional order recorded in the outbox
+   * @param {string} options.unsubscribe_scope - optional scope the recipient
+   *    can unsubscribe from, defaults to the one of the event
+   * @param {string|Date} options.send_at - optional date to send the email at
+   * @param {number|string} options.delay - optional delay before sending the
+   *    email, in ms or as a duration like "30m", "2h" or "3d"
+   * @return {Promise} result of the send operation, with the message id of
+   *    the sent email
+   */
+  async sendEmail(options) {
+    try {
+      const sendAt = resolveSendAt(options)
+      if (sendAt && sendAt > new Date()) {
+        const { send_at, delay, ...email } = options
+        const scheduled = await this.smtpScheduleService_.create({
+          send_at: sendAt,
+          email,
+        })
+
+        return {
+          to: options.to,
+          status: 'scheduled',
+          schedule_id: scheduled.id,
+          send_at: scheduled.send_at,
+          data: email.data || email,
+        }
+      }
+
+      // the options used to be the data of the email, which still works
+      const data = options.data || options
+
+      const entry = await this.deliver_(
+        {
+          template: options.templateName,
+          message: {
+            from: options.from,
+            to: options.to,
+            cc: options.cc,
+            bcc: options.bcc,
+            replyTo: options.replyTo,
+            subject: options.subject,
+            headers: options.headers,
+            attachments: options.attachments?.map((a) =>
+              this.toMailAttachment_(a)
+            ),
+          },
+          locals: {
+            data,
+            locale: options.locale,
+            env: process.env,
+          },
+        },
+        {
+          event: options.event,
+          order_id: options.order_id,
+          scope: options.unsubscribe_scope,
+        }
+      )
+
+      return {
+        to: options.to,
+        status: entry.status,
+        message_id: entry.message_id,
+        delivery: this.getDeliveryDetails_(entry),
+        data,
+      }
+    } catch (error) {
+      throw error
+    }
+  }
+
+  /**
+   * @param {Object} attachment - filename, contentType and either base64
+   *    content or a url to download it from
+   * @return {Object} the nodemailer attachment
+   */
+  toMailAttachment_({ filename, contentType, content, url }) {
+    if (url) {
+      return { filename, contentType, href: url }
+    }
+    return { filename, contentType, content, encoding: 'base64' }
+  }
+
+  /**
+   * Queues a template for many recipients, each with their own data merged
+   * over the shared data. The recipients are stored as scheduled emails of
+   * one batch and sent by the scheduler, at the `send_at` or after the
+   * `delay` of the options, right away otherwise. A failed recipient does not
+   * stop the others.
+   * @param {Object} options - the options of `sendEmail` shared by all
+   *    recipients, with the `to` and `data` of every recipient in `recipients`
+   * @return {Promise<Object>} the id of the batch, the number of recipients
+   *    and when they are sent
+   */
+  async sendBatch({ recipients, send_at, delay, ...email }) {
+    const sendAt = resolveSendAt({ send_at, delay }) || new Date()
+    const batch = await this.smtpScheduleService_.createBatch({
+      send_at: sendAt,
+      email,
+      recipients: recipients.map(({ to, data }) => ({ to, data: data || {} })),
+    })
+
+    if (sendAt <= new Date()) {
+      // due now, the scheduler of this instance should not wait for its turn
+      this.sendScheduledEmails().catch((err) =>
+        this.logger_.error(
+          `smtp: failed to send batch ${batch.id}: ${err.message}`
+        )
+      )
+    }
+
+    return {
+      batch_id: batch.id,
+      status: 'scheduled',
+      total: batch.total,
+      send_at: sendAt,
+    }
+  }
+
+  /**
+   * Sends the scheduled emails that are due, page by page until none is left.
+   * Called periodically by the scheduled email subscriber of every server
+   * instance, each email is claimed by one of them before it is sent.
+   * @return {Promise<Object[]>} the processed scheduled emails
+   */
+  async sendScheduledEmails() {
+    await this.smtpScheduleService_.releaseStale(SCHEDULE_CLAIM_TIMEOUT)
+
+    const processed = []
+    // shared options of the batches of the due emails
+    const batches = new Map()
+    for (;;) {
+      const due = await this.smtpScheduleService_.listDue(
+        new Date(),
+        SCHEDULE_PAGE_SIZE
+      )
+      const page = await mapWithConcurrency(
+        due,
+        this.options_.bulkConcurrency,
+        (scheduled) => this.sendScheduledEmail_(scheduled, batches)
+      )
+      processed.push(...page.filter(Boolean))
+
+      // listed emails are claimed now, a full page means more may be due
+      if (due.length < SCHEDULE_PAGE_SIZE) {
+        return processed
+      }
+    }
+  }
+
+  /**
+   * Claims and sends a scheduled email.
+   * @param {Object} scheduled - the due scheduled email
+   * @param {Map} batches - batches already loaded, by id
+   * @return {Promise<Object|null>} the processed scheduled email, null when
+   *    another server instance claimed it
+   */
+  async sendScheduledEmail_(scheduled, batches) {
+    if (!(await this.smtpScheduleService_.claim(scheduled.id))) {
+      return null
+    }
+
+    if (scheduled.outbox_id) {
+      return this.resumeRetry_(scheduled)
+        .then(() => this.smtpScheduleService_.retrieve(scheduled.id))
+        .catch((err) =>
+          this.smtpScheduleService_.update(scheduled.id, {
+            status: 'failed',
+            delivery: { error: err.message },
+            processed_at: new Date(),
+          })
+        )
+    }
+
+    const result = await this.getScheduledOptions_(scheduled, batches)
+      .then((options) => this.sendEmail(options))
+      .catch((err) => ({
+        status: 'failed',
+        delivery: { error: err.message },
+      }))
+
+    return this.smtpScheduleService_.update(scheduled.id, {
+      status: result.status,
+      delivery: result.delivery,
+      processed_at: new Date(),
+    })
+  }
+
+  /**
+   * @param {Object} scheduled - a scheduled email
+   * @param {Map} batches - batches already loaded, by id
+   * @return {Promise<Object>} the options of `sendEmail`, those of the batch
+   *    merged with the recipient and its data for the recipient of a batch
+   */
+  async getScheduledOptions_(scheduled, batches) {
+    if (!scheduled.batch_id) {
+      return scheduled.email
+    }
+
+    if (!batches.has(scheduled.batch_id)) {
+      batches.set(
+        scheduled.batch_id,
+        this.smtpScheduleService_.retrieveBatch(scheduled.batch_id)
+      )
+    }
+    const { email } = await batches.get(scheduled.batch_id)
+    return {
+      ...email,
+      to: scheduled.email.to,
+      data: { ...email.data, ...scheduled.email.data },
+    }
+  }
+
+  /**
+   * Emails everyone waiting for a variant to be back in stock. Addresses are
+   * normalized and de-duplicated, addresses that unsubscribed from the
+   * variant are skipped and at most `bulkConcurrency` emails are sent at the
+   * same time. Every recipient gets their own `unsubscribe_url`.
+   * @param {Object} eventData - variant_id and emails of the restock event
+   * @return {Promise<Object>} the number of recipients per status and the
+   *    result of every recipient
+   */
+  async sendRestockNotifications(eventData) {
+    const event = 'restock-notification.restocked'
+    const templateName = this.getTemplateNameForEvent(event)
+    if (!templateName) {
+      return
+    }
+
+    const data = await this.fetchData(event, eventData, null)
+    if (!data?.emails) {
+      return
+    }
+
+    const { emails, ...shared } = data
+    const scope = `restock:${data.variant_id}`
+    const seen = new Set()
+    const recipients = []
+    const results = []
+
+    for (const email of emails) {
+      const address = normalizeAddress(email)
+      if (!address) {
+        results.push({ to: email, status: 'invalid' })
+        continue
+      }
+
+      if (seen.has(address)) {
+        continue
+      }
+      seen.add(address)
+
+      if (await this.smtpSuppressionService_.isSuppressed(address, scope)) {
+        results.push({ to: address, status: 'unsubscribed' })
+        continue
+      }
+
+      recipients.push(address)
+    }
+
+    const sent = await mapWithConcurrency(
+      recipients,
+      this.options_.bulkConcurrency,
+      async (address) => {
+        const { status, delivery } = await this.sendEmail({
+          templateName,
+          to: address,
+          event,
+          unsubscribe_scope: scope,
+          data: { ...shared, email: address },
+        })
+        return { to: address, status, delivery }
+      }
+    )
+    results.push(...sent)
+
+    const statuses = results.reduce((acc, { status }) => {
+      acc[status] = (acc[status] || 0) + 1
+      return acc
+    }, {})
+
+    this.logger_.info(
+      `smtp: restock notifications for variant ${
+        data.variant_id
+      }: ${Object.entries(statuses)
+        .map(([status, count]) => `${count} ${status}`)
+        .join(', ')}`
+    )
+
+    return {
+      variant_id: data.variant_id,
+      total: results.length,
+      statuses,
+      results,
+    }
+  }
+
+  /**
+   * Reminds customers of the carts they left without completing the checkout.
+   * A cart is reminded once it has not changed for `abandonedCart.after`, then
+   * every `abandonedCart.interval` until `abandonedCart.maxReminders` are sent.
+   * Reminders stop as soon as the cart is completed. Called periodically by
+   * the abandoned cart subscriber of every server instance, each reminder is
+   * claimed by one of them before it is sent.
+   * @return {Promise<Object[]>} the result of every reminder sent
+   */
+  async sendAbandonedCartReminders() {
+    const event = 'cart.abandoned'
+    const templateName = this.getTemplateNameForEvent(event)
+    if (!templateName) {
+      return []
+    }
+
+    const config = this.options_.abandonedCart
+    const scope = this.getUnsubscribeScope_(
+      { event },
+      this.getEventConfig_(event)
+    )
+    const now = Date.now()
+    const after = parseDelay(config.after)
+    const interval = parseDelay(config.interval)
+    const maxAge = parseDelay(config.maxAge)
+
+    await this.updateCartReminders_(now, maxAge)
+
+    const results = []
+    for (let skip = 0; ; skip += CART_PAGE_SIZE) {
+      const carts = await this.cartService_.list(
+        {
+          type: 'default',
+          completed_at: null,
+          email: Not(IsNull()),
+          updated_at: {
+            lt: new Date(now - after),
+            gt: new Date(now - maxAge),
+          },
+        },
+        {
+          relations: ['items'],
+          order: { updated_at: 'ASC', id: 'ASC' },
+          skip,
+          take: CART_PAGE_SIZE,
+        }
+      )
+
+      const reminders = await this.smtpCartReminderService_.listByCarts(
+        carts.map((cart) => cart.id)
+      )
+      const due = []
+      for (const cart of carts) {
+        const reminder = reminders.find((r) => r.cart_id === cart.id)
+        if (
+          !cart.items?.length ||
+          (reminder &&
+            (reminder.status !== 'active' ||
+              reminder.reminders_sent >= config.maxReminders ||
+              now - new Date(reminder.last_reminder_at) < interval))
+        ) {
+          continue
+        }
+
+        if (
+          !(await this.smtpSuppressionService_.isSuppressed(cart.email, scope))
+        ) {
+          due.push({ cart, reminder })
+        }
+      }
+
+      const sent = await mapWithConcurrency(
+        due,
+        this.options_.bulkConcurrency,
+        ({ cart, reminder }) => this.remindCart_(cart, reminder, templateName)
+      )
+      results.push(...sent.filter(Boolean))
+
+      if (carts.length < CART_PAGE_SIZE) {
+        return results
+      }
+    }
+  }
+
+  /**
+   * Sends the next reminder of a cart.
+   * @param {Object} cart - the cart
+   * @param {Object} reminder - the reminders already sent for the cart
+   * @param {string} templateName - template of the reminders
+   * @return {Promise<Object|null>} the result of the reminder, null when it
+   *    was claimed by another server instance
+   */
+  async remindCart_(cart, reminder, templateName) {
+    const event = 'cart.abandoned'
+    const claimed = await this.smtpCartReminderService_.claimReminder(
+      cart.id,
+      cart.email,
+      reminder
+    )
+    if (!claimed) {
+      return null
+    }
 
-    if (attachments?.length) {
-      sendOptions.message.attachments = attachments.map((a) => {
-        return {
-          content: a.base64,
-          filename: a.name,
-          type: a.type,
-          disposition: 'attachment',
-          contentId: a.name,
-        }
+    const number = claimed.reminders_sent
+    try {
+      const data = await this.fetchData(
+        event,
+        { id: cart.id, reminder: number },
+        null
+      )
+      const { status, delivery } = await this.sendEmail({
+        templateName,
+        to: data.email,
+        event,
+        data,
       })
+
+      if (status === 'failed') {
+        await this.smtpCartReminderService_.releaseReminder(claimed, reminder)
+      }
+      return { cart_id: cart.id, reminder: number, status, delivery }
+    } catch (err) {
+      this.logger_.error(
+        `smtp: failed to remind cart ${cart.id}: ${err.message}`
+      )
+      await this.smtpCartReminderService_.releaseReminder(claimed, reminder)
+      return {
+        cart_id: cart.id,
+        reminder: number,
+        status: 'failed',
+        delivery: { error: err.message },
+      }
     }
+  }
 
-    const email = new Email({
-      message: {
-        from: this.options_.fromEmail,
-      },
-      transport: this.transporter,
-      views: {
-        root: this.options_.emailTemplatePath,
-        options: {
-          extension: 'njk'
-        }
-      },
-      send: true,
-    })
+  /**
+   * Follows the carts that were reminded until they are completed or too old
+   * to be reminded.
+   * @param {number} now - the current time, in ms
+   * @param {number} maxAge - age of the last reminder after which a cart is
+   *    not followed anymore, in ms
+   */
+  async updateCartReminders_(now, maxAge) {
+    const active = []
+    for (const reminder of await this.smtpCartReminderService_.list({
+      status: 'active',
+    })) {
+      if (now - new Date(reminder.last_reminder_at) > maxAge) {
+        await this.smtpCartReminderService_.update(reminder.id, {
+          status: 'expired',
+        })
+      } else {
+        active.push(reminder)
+      }
+    }
 
-    const status = await email
-      .send(sendOptions)
-      .then(() => 'sent')
-      .catch(() => 'failed')
-    delete sendOptions.message.attachments
-    return {
-      to: sendOptions.message.to,
-      status,
-      data: sendOptions.locals.data || {},
+    for (let i = 0; i < active.length; i += CART_PAGE_SIZE) {
+      const reminders = active.slice(i, i + CART_PAGE_SIZE)
+      const completed = await this.cartService_.list(
+        {
+          id: reminders.map((r) => r.cart_id),
+          completed_at: Not(IsNull()),
+        },
+        { select: ['id', 'completed_at'] }
+      )
+
+      for (const cart of completed) {
+        const reminder = reminders.find((r) => r.cart_id === cart.id)
+        await this.smtpCartReminderService_.update(reminder.id, {
+          status: 'recovered',
+          recovered_at: new Date(cart.completed_at),
+        })
+      }
     }
   }
 
-  async resendNotification(notification, config, attachmentGenerator) {
-    let templateName = this.getTemplateNameForEvent(notification.event_name)
-    if (!templateName) {
-      return {
-        to: notification.to,
-        status: 'noTemplateFound',
-        data: notification.data,
+  /**
+   * Applies bounce and complaint reports to the outbox and the suppression
+   * list. The email a report is about is found by its Message-ID. Hard
+   * bounces and complaints suppress the address for every email, soft bounces
+   * only change the status of the email.
+   * @param {Object[]} reports - type (hard_bounce, soft_bounce or complaint),
+   *    email, message_id, status and diagnostic of every report
+   * @return {Promise<Object[]>} the result of every report
+   */
+  async processDeliveryReports(reports) {
+    const results = []
+    for (const report of reports) {
+      const entry =
+        report.message_id &&
+        (await this.smtpOutboxService_.retrieveByMessageId(report.message_id))
+
+      let status = entry?.status
+      if (entry) {
+        const reportStatus = REPORT_STATUSES[report.type]
+        if (
+          STATUS_SEVERITY.indexOf(reportStatus) >
+          STATUS_SEVERITY.indexOf(entry.status)
+        ) {
+          status = reportStatus
+        }
+
+        await this.smtpOutboxService_.update(entry.id, {
+          status,
+          bounces: [
+            ...(entry.bounces || []),
+            { ...report, received_at: new Date().toISOString() },
+          ],
+        })
       }
+
+      let suppression = null
+      if (report.type !== 'soft_bounce') {
+        suppression = await this.smtpSuppressionService_.create({
+          email: report.email,
+          reason: report.type === 'complaint' ? 'complaint' : 'hard bounce',
+        })
+      }
+
+      this.logger_[report.type === 'soft_bounce' ? 'warn' : 'error'](
+        `smtp: ${report.type.replace('_', ' ')} for ${report.email}${
+          entry ? ` (${entry.template}, ${entry.message_id})` : ''
+        }: ${report.diagnostic || report.status || 'no details'}`
+      )
+
+      results.push({
+        ...report,
+        outbox_id: entry?.id || null,
+        outbox_status: status || null,
+        suppression_id: suppression?.id || null,
+      })
     }
-    const sendOptions = {
-      template: templateName,
-      message: {
-        to: config.to || notification.to,
-      },
-      locals: {
-        data: notification.data,
-        env: process.env,
-      },
-    }
+    return results
+  }
 
-    const attachments = await this.fetchAttachments(
-      notification.event_name,
-      notification.data.dynamic_template_data,
-      attachmentGenerator
+  /**
+   * @param {string} token - token a bounce report was posted with
+   * @return {boolean} whether it is the configured `bounceToken`
+   */
+  verifyBounceToken(token) {
+    return (
+      Boolean(this.options_.bounceToken) &&
+      secretsMatch(token, this.options_.bounceToken)
     )
+  }
 
-    sendOptions.message.attachments = attachments.map((a) => {
-      return {
-        content: a.base64,
-        filename: a.name,
-        type: a.type,
-        disposition: 'attachment',
-        contentId: a.name,
-      }
-    })
+  getUnsubscribeUrl_(token) {
+    const url = this.options_.unsubscribeUrl
+    if (!token || !url) {
+      return null
+    }
 
-    const email = new Email({
-      message: {
-        from: this.options_.fromEmail,
-      },
-      transport: this.transporter,
-      views: {
-        root: this.options_.emailTemplatePath,
-        options: {
-          extension: 'njk'
-        }
-      },
-      send: true,
-    })
-    const status = await email
-      .send(sendOptions)
-      .then(() => 'sent')
-      .catch(() => 'failed')
-    delete sendOptions.message.attachments
-    return {
-      to: sendOptions.message.to,
-      status,
-      data: sendOptions.locals.data || {},
+    if (url.includes('{token}')) {
+      return url.replace('{token}', encodeURIComponent(token))
     }
+
+    return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(
+      token
+    )}`
   }
 
   /**
-   * Sends an email using smtp.
-   * @param {string} templateName - name of template
-   * @param {string} from - sender of email
-   * @param {string} to - receiver of email
-   * @param {Object} data - data to send in mail (match with template)
-   * @return {Promise} result of the send operation
+   * Renders the email of an event without sending it.
+   * @param {string} event - name of the event, must be mapped in `templateMap`
+   * @param {Object} eventData - event payload passed to `fetchData`
+   * @param {Object} fixture - optional template data used instead of `fetchData`
+   * @param {string} locale - optional locale overriding the one of the data
+   * @return {Promise<Object>} the rendered subject, html and text
    */
-  async sendEmail(options) {
-    try {
-      const email = new Email({
-        message: {
-          from: this.options_.fromEmail,
-        },
-        transport: this.transporter,
-        views: {
-          root: this.options_.emailTemplatePath,
-          options: {
-            extension: 'njk'
-          }
-        },
-        send: true,
-      })
-      const status = await email
-        .send({
-          template: options.templateName,
-          message: {
-            to: options.to,
-          },
+  async previewNotification(event, eventData, fixture, locale) {
+    const templateName = this.getTemplateNameForEvent(event)
+    if (!templateName) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `No template is mapped to the event ${event}`
+      )
+    }
+
+    if (!fixture) {
+      const keys = EVENT_DATA_KEYS[event]
+      const missing = keys
+        ? keys.filter((key) => eventData[key] === undefined)
+        : []
+      if (missing.length || (!keys && !Object.keys(eventData).length)) {
+        throw new MedusaError(
+          MedusaError.Types.INVALID_DATA,
+          `Previewing ${event} requires ${
+            missing.length ? missing.join(', ') : 'event data'
+          } or a data fixture`
+        )
+      }
+    }
+
+    let data = fixture || (await this.fetchData(event, eventData, null))
+    if (!data) {
+      throw new MedusaError(
+        MedusaError.Types.NOT_FOUND,
+        `No data was found for the event ${event}`
+      )
+    }
+
+    if (locale) {
+      data = { ...data, locale }
+    }
+
+    const { from, replyTo, cc, bcc, subject, html, text } =
+      await this.renderMessage_(
+        {
+          template: templateName,
           locals: {
-            data: options,
+            data,
             env: process.env,
           },
-        })
-        .then(() => 'sent')
-        .catch(() => 'failed')
+        },
+        this.getEventConfig_(event)
+      )
 
-      return {
-        to: options.to,
-        status,
-        data: options,
-      }
-    } catch (error) {
-      throw error
+    return {
+      event,
+      template: templateName,
+      from,
+      to: data.email,
+      replyTo,
+      cc,
+      bcc,
+      subject,
+      html,
+      text,
+      data,
     }
   }
 
@@ -387,7 +2206,7 @@ class SmtpService extends NotificationService {
     return {
       locale,
       order,
-      date: shipment.shipped_at.toDateString(),
+      date: this.formatDate_(shipment.shipped_at, locale),
       email: order.email,
       fulfillment: shipment,
       tracking_links: shipment.tracking_links,
@@ -433,62 +2252,50 @@ class SmtpService extends NotificationService {
 
     const taxRate = order.tax_rate / 100
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
-    const items = this.processItems_(order.items, taxRate, currencyCode)
+    const items = this.processItems_(
+      order.items,
+      taxRate,
+      currencyCode,
+      locale
+    )
 
     let discounts = []
     if (order.discounts) {
-      discounts = order.discounts.map((discount) => {
-        return {
-          is_giftcard: false,
-          code: discount.code,
-          descriptor: `${discount.rule.value}${discount.rule.type === 'percentage' ? '%' : ` ${currencyCode}`
-            }`,
-        }
-      })
+      discounts = order.discounts.map((discount) =>
+        this.discountDescriptor_(discount, currencyCode, locale)
+      )
     }
 
     let giftCards = []
     if (order.gift_cards) {
-      giftCards = order.gift_cards.map((gc) => {
-        return {
-          is_giftcard: true,
-          code: gc.code,
-          descriptor: `${gc.value} ${currencyCode}`,
-        }
-      })
+      giftCards = order.gift_cards.map((gc) =>
+        this.giftCardDescriptor_(gc, currencyCode, locale)
+      )
 
       discounts.concat(giftCards)
     }
 
-    const locale = await this.extractLocale(order)
+    const amounts = {
+      subtotal: Math.round(subtotal * (1 + taxRate)),
+      gift_card_total: Math.round(gift_card_total * (1 + taxRate)),
+      tax_total,
+      discount_total: Math.round(discount_total * (1 + taxRate)),
+      shipping_total: Math.round(shipping_total * (1 + taxRate)),
+      total,
+    }
 
     return {
       ...order,
       locale,
       has_discounts: order.discounts.length,
       has_gift_cards: order.gift_cards.length,
-      date: order.created_at.toDateString(),
+      date: this.formatDate_(order.created_at, locale),
       items,
       discounts,
-      subtotal: `${this.humanPrice_(
-        subtotal * (1 + taxRate),
-        currencyCode
-      )} ${currencyCode}`,
-      gift_card_total: `${this.humanPrice_(
-        gift_card_total * (1 + taxRate),
-        currencyCode
-      )} ${currencyCode}`,
-      tax_total: `${this.humanPrice_(tax_total, currencyCode)} ${currencyCode}`,
-      discount_total: `${this.humanPrice_(
-        discount_total * (1 + taxRate),
-        currencyCode
-      )} ${currencyCode}`,
-      shipping_total: `${this.humanPrice_(
-        shipping_total * (1 + taxRate),
-        currencyCode
-      )} ${currencyCode}`,
-      total: `${this.humanPrice_(total, currencyCode)} ${currencyCode}`,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
     }
   }
 
@@ -522,6 +2329,7 @@ class SmtpService extends NotificationService {
     const { tax_total, shipping_total, gift_card_total, total } = order
 
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
     const items = await Promise.all(
       order.items.map(async (i) => {
@@ -530,45 +2338,30 @@ class SmtpService extends NotificationService {
           use_tax_lines: true,
         })
         i.thumbnail = this.normalizeThumbUrl_(i.thumbnail)
-        i.discounted_price = `${this.humanPrice_(
-          i.totals.total / i.quantity,
-          currencyCode
-        )} ${currencyCode}`
-        i.price = `${this.humanPrice_(
-          i.totals.original_total / i.quantity,
-          currencyCode
-        )} ${currencyCode}`
+        Object.assign(
+          i,
+          this.formatItemPrices_(i.totals, i.quantity, currencyCode, locale)
+        )
         return i
       })
     )
 
     let discounts = []
     if (order.discounts) {
-      discounts = order.discounts.map((discount) => {
-        return {
-          is_giftcard: false,
-          code: discount.code,
-          descriptor: `${discount.rule.value}${discount.rule.type === 'percentage' ? '%' : ` ${currencyCode}`
-            }`,
-        }
-      })
+      discounts = order.discounts.map((discount) =>
+        this.discountDescriptor_(discount, currencyCode, locale)
+      )
     }
 
     let giftCards = []
     if (order.gift_cards) {
-      giftCards = order.gift_cards.map((gc) => {
-        return {
-          is_giftcard: true,
-          code: gc.code,
-          descriptor: `${gc.value} ${currencyCode}`,
-        }
-      })
+      giftCards = order.gift_cards.map((gc) =>
+        this.giftCardDescriptor_(gc, currencyCode, locale)
+      )
 
       discounts.concat(giftCards)
     }
 
-    const locale = await this.extractLocale(order)
-
     // Includes taxes in discount amount
     const discountTotal = items.reduce((acc, i) => {
       return acc + i.totals.original_total - i.totals.total
@@ -585,39 +2378,32 @@ class SmtpService extends NotificationService {
       return total + i.totals.subtotal
     }, 0)
 
+    const amounts = {
+      subtotal_ex_tax,
+      subtotal,
+      gift_card_total,
+      tax_total,
+      discount_total: discountTotal,
+      shipping_total,
+      total,
+    }
+
     return {
       ...order,
       locale,
       has_discounts: order.discounts.length,
       has_gift_cards: order.gift_cards.length,
-      date: order.created_at.toDateString(),
+      date: this.formatDate_(order.created_at, locale),
       items,
       discounts,
-      subtotal_ex_tax: `${this.humanPrice_(
-        subtotal_ex_tax,
-        currencyCode
-      )} ${currencyCode}`,
-      subtotal: `${this.humanPrice_(subtotal, currencyCode)} ${currencyCode}`,
-      gift_card_total: `${this.humanPrice_(
-        gift_card_total,
-        currencyCode
-      )} ${currencyCode}`,
-      tax_total: `${this.humanPrice_(tax_total, currencyCode)} ${currencyCode}`,
-      discount_total: `${this.humanPrice_(
-        discountTotal,
-        currencyCode
-      )} ${currencyCode}`,
-      shipping_total: `${this.humanPrice_(
-        shipping_total,
-        currencyCode
-      )} ${currencyCode}`,
-      total: `${this.humanPrice_(total, currencyCode)} ${currencyCode}`,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
     }
   }
 
   async gcCreatedData({ id }) {
     const giftCard = await this.giftCardService_.retrieve(id, {
-      relations: ['region', 'order'],
+      relations: ['region', 'order', 'order.items'],
     })
 
     if (!giftCard.order) {
@@ -625,14 +2411,55 @@ class SmtpService extends NotificationService {
     }
 
     const taxRate = giftCard.region.tax_rate / 100
+    const currencyCode = giftCard.region.currency_code
 
-    const locale = await this.extractLocale(order)
+    const locale = await this.extractLocale(giftCard.order)
+
+    const recipient = this.getGiftCardRecipient_(giftCard)
+
+    const amounts = {
+      display_value: Math.round(giftCard.value * (1 + taxRate)),
+    }
 
     return {
       ...giftCard,
       locale,
       email: giftCard.order.email,
-      display_value: giftCard.value * (1 + taxRate),
+      currency_code: currencyCode,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
+      is_gift: !!recipient,
+      recipient,
+    }
+  }
+
+  /**
+   * Reads who a gift card is for from its metadata, which Medusa copies from
+   * the line item it was bought with. When the gift card has no recipient
+   * and the order has a single gift card line item, that item is used.
+   * @param {Object} giftCard - gift card with its order and order items
+   * @return {Object|null} email, name, message and delivery_date of the
+   *    recipient, null when the gift card is not a gift
+   */
+  getGiftCardRecipient_(giftCard) {
+    let metadata = giftCard.metadata || {}
+    if (!metadata.recipient_email) {
+      const items = (giftCard.order.items || []).filter((i) => i.is_giftcard)
+      if (items.length === 1) {
+        metadata = items[0].metadata || {}
+      }
+    }
+
+    const email = normalizeAddress(metadata.recipient_email)
+    if (!email) {
+      return null
+    }
+
+    return {
+      email,
+      name: metadata.recipient_name || null,
+      message: metadata.message || null,
+      delivery_date: metadata.delivery_date || null,
     }
   }
 
@@ -672,6 +2499,7 @@ class SmtpService extends NotificationService {
     })
 
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
     // Calculate which items are in the return
     const returnItems = await Promise.all(
@@ -687,10 +2515,11 @@ class SmtpService extends NotificationService {
             use_tax_lines: true,
           }
         )
-        found.price = `${this.humanPrice_(
-          found.totals.total,
-          currencyCode
-        )} ${currencyCode}`
+        found.amounts = { price: found.totals.total }
+        Object.assign(
+          found,
+          this.formatPrices_(found.amounts, currencyCode, locale)
+        )
         found.tax_lines = found.totals.tax_lines
         return found
       })
@@ -713,34 +2542,27 @@ class SmtpService extends NotificationService {
         }, 0)
     }
 
-    const locale = await this.extractLocale(order)
+    const amounts = {
+      subtotal: item_subtotal,
+      shipping_total: shippingTotal,
+      refund_amount: returnRequest.refund_amount,
+    }
+    const prices = this.formatPrices_(amounts, currencyCode, locale)
 
     return {
       locale,
+      currency_code: order.currency_code,
       has_shipping: !!returnRequest.shipping_method,
       email: order.email,
       items: returnItems,
-      subtotal: `${this.humanPrice_(
-        item_subtotal,
-        currencyCode
-      )} ${currencyCode}`,
-      shipping_total: `${this.humanPrice_(
-        shippingTotal,
-        currencyCode
-      )} ${currencyCode}`,
-      refund_amount: `${this.humanPrice_(
-        returnRequest.refund_amount,
-        currencyCode
-      )} ${currencyCode}`,
+      ...prices,
+      amounts,
       return_request: {
         ...returnRequest,
-        refund_amount: `${this.humanPrice_(
-          returnRequest.refund_amount,
-          currencyCode
-        )} ${currencyCode}`,
+        refund_amount: prices.refund_amount,
       },
       order,
-      date: returnRequest.updated_at.toDateString(),
+      date: this.formatDate_(returnRequest.updated_at, locale),
     }
   }
 
@@ -805,6 +2627,7 @@ class SmtpService extends NotificationService {
       ],
     })
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
     const decoratedItems = await Promise.all(
       cart.items.map(async (i) => {
@@ -812,13 +2635,12 @@ class SmtpService extends NotificationService {
           include_tax: true,
         })
 
+        const amounts = { price: totals.subtotal + totals.tax_total }
         return {
           ...i,
           totals,
-          price: this.humanPrice_(
-            totals.subtotal + totals.tax_total,
-            currencyCode
-          ),
+          ...this.formatPrices_(amounts, currencyCode, locale),
+          amounts,
         }
       })
     )
@@ -839,34 +2661,26 @@ class SmtpService extends NotificationService {
 
     const refundAmount = swap.return_order.refund_amount
 
-    const locale = await this.extractLocale(order)
+    const amounts = {
+      return_total: returnTotal,
+      tax_total: cart.total,
+      refund_amount: refundAmount,
+      additional_total: additionalTotal,
+    }
 
     return {
       locale,
+      currency_code: order.currency_code,
       swap,
       order,
       return_request: returnRequest,
-      date: swap.updated_at.toDateString(),
+      date: this.formatDate_(swap.updated_at, locale),
       swap_link: swapLink,
       email: order.email,
       items: decoratedItems.filter((di) => !di.is_return),
       return_items: decoratedItems.filter((di) => di.is_return),
-      return_total: `${this.humanPrice_(
-        returnTotal,
-        currencyCode
-      )} ${currencyCode}`,
-      tax_total: `${this.humanPrice_(
-        cart.total,
-        currencyCode
-      )} ${currencyCode}`,
-      refund_amount: `${this.humanPrice_(
-        refundAmount,
-        currencyCode
-      )} ${currencyCode}`,
-      additional_total: `${this.humanPrice_(
-        additionalTotal,
-        currencyCode
-      )} ${currencyCode}`,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
     }
   }
 
@@ -932,6 +2746,7 @@ class SmtpService extends NotificationService {
       ],
     })
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
     const decoratedItems = await Promise.all(
       cart.items.map(async (i) => {
@@ -943,14 +2758,7 @@ class SmtpService extends NotificationService {
           ...i,
           totals,
           tax_lines: totals.tax_lines,
-          price: `${this.humanPrice_(
-            totals.original_total / i.quantity,
-            currencyCode
-          )} ${currencyCode}`,
-          discounted_price: `${this.humanPrice_(
-            totals.total / i.quantity,
-            currencyCode
-          )} ${currencyCode}`,
+          ...this.formatItemPrices_(totals, i.quantity, currencyCode, locale),
         }
       })
     )
@@ -973,30 +2781,25 @@ class SmtpService extends NotificationService {
 
     const refundAmount = swap.return_order.refund_amount
 
-    const locale = await this.extractLocale(order)
+    const amounts = {
+      return_total: returnTotal,
+      refund_amount: refundAmount,
+      additional_total: additionalTotal,
+    }
 
     return {
       locale,
+      currency_code: order.currency_code,
       swap,
       order,
       return_request: returnRequest,
-      date: swap.updated_at.toDateString(),
+      date: this.formatDate_(swap.updated_at, locale),
       swap_link: swapLink,
       email: order.email,
       items: decoratedItems.filter((di) => !di.is_return),
       return_items: decoratedItems.filter((di) => di.is_return),
-      return_total: `${this.humanPrice_(
-        returnTotal,
-        currencyCode
-      )} ${currencyCode}`,
-      refund_amount: `${this.humanPrice_(
-        refundAmount,
-        currencyCode
-      )} ${currencyCode}`,
-      additional_total: `${this.humanPrice_(
-        additionalTotal,
-        currencyCode
-      )} ${currencyCode}`,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
     }
   }
 
@@ -1050,8 +2853,8 @@ class SmtpService extends NotificationService {
       }
     )
 
-    const taxRate = order.tax_rate / 100
     const currencyCode = order.currency_code.toUpperCase()
+    const locale = await this.extractLocale(order)
 
     const returnItems = await Promise.all(
       swap.return_order.items.map(async (i) => {
@@ -1063,14 +2866,7 @@ class SmtpService extends NotificationService {
         return {
           ...found,
           thumbnail: this.normalizeThumbUrl_(found.thumbnail),
-          price: `${this.humanPrice_(
-            totals.original_total / i.quantity,
-            currencyCode
-          )} ${currencyCode}`,
-          discounted_price: `${this.humanPrice_(
-            totals.total / i.quantity,
-            currencyCode
-          )} ${currencyCode}`,
+          ...this.formatItemPrices_(totals, i.quantity, currencyCode, locale),
           quantity: i.quantity,
         }
       })
@@ -1095,10 +2891,17 @@ class SmtpService extends NotificationService {
       relations: ['tracking_links'],
     })
 
-    const locale = await this.extractLocale(order)
+    const amounts = {
+      tax_amount: cart.tax_total,
+      paid_total: swap.difference_due,
+      return_total: returnTotal,
+      refund_amount: refundAmount,
+      additional_total: additionalTotal,
+    }
 
     return {
       locale,
+      currency_code: order.currency_code,
       swap,
       order,
       items: await Promise.all(
@@ -1110,40 +2913,15 @@ class SmtpService extends NotificationService {
           return {
             ...i,
             thumbnail: this.normalizeThumbUrl_(i.thumbnail),
-            price: `${this.humanPrice_(
-              totals.original_total / i.quantity,
-              currencyCode
-            )} ${currencyCode}`,
-            discounted_price: `${this.humanPrice_(
-              totals.total / i.quantity,
-              currencyCode
-            )} ${currencyCode}`,
+            ...this.formatItemPrices_(totals, i.quantity, currencyCode, locale),
             quantity: i.quantity,
           }
         })
       ),
-      date: swap.updated_at.toDateString(),
+      date: this.formatDate_(swap.updated_at, locale),
       email: order.email,
-      tax_amount: `${this.humanPrice_(
-        cart.tax_total,
-        currencyCode
-      )} ${currencyCode}`,
-      paid_total: `${this.humanPrice_(
-        swap.difference_due,
-        currencyCode
-      )} ${currencyCode}`,
-      return_total: `${this.humanPrice_(
-        returnTotal,
-        currencyCode
-      )} ${currencyCode}`,
-      refund_amount: `${this.humanPrice_(
-        refundAmount,
-        currencyCode
-      )} ${currencyCode}`,
-      additional_total: `${this.humanPrice_(
-        additionalTotal,
-        currencyCode
-      )} ${currencyCode}`,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
       fulfillment: shipment,
       tracking_links: shipment.tracking_links,
       tracking_number: shipment.tracking_numbers.join(', '),
@@ -1193,6 +2971,68 @@ class SmtpService extends NotificationService {
     }
   }
 
+  async abandonedCartData({ id, reminder }) {
+    const cart = await this.cartService_.retrieve(id, {
+      select: [
+        'subtotal',
+        'tax_total',
+        'shipping_total',
+        'discount_total',
+        'gift_card_total',
+        'total',
+      ],
+      relations: [
+        'items',
+        'items.tax_lines',
+        'region',
+        'shipping_address',
+        'customer',
+      ],
+    })
+
+    const currencyCode = cart.region.currency_code.toUpperCase()
+    const locale = cart.context?.locale || null
+
+    const items = await Promise.all(
+      cart.items.map(async (i) => {
+        const totals = await this.totalsService_.getLineItemTotals(i, cart, {
+          include_tax: true,
+        })
+
+        return {
+          ...i,
+          totals,
+          thumbnail: this.normalizeThumbUrl_(i.thumbnail),
+          ...this.formatItemPrices_(totals, i.quantity, currencyCode, locale),
+        }
+      })
+    )
+
+    const recoveryUrl = this.options_.abandonedCart.recoveryUrl
+    const amounts = {
+      subtotal: cart.subtotal,
+      tax_total: cart.tax_total,
+      shipping_total: cart.shipping_total,
+      discount_total: cart.discount_total,
+      total: cart.total,
+    }
+
+    return {
+      cart,
+      locale,
+      currency_code: cart.region.currency_code,
+      email: cart.email,
+      customer: cart.customer,
+      items,
+      reminder,
+      recovery_url: recoveryUrl
+        ? recoveryUrl.replace(/\{cart_id\}/g, cart.id)
+        : null,
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
+    }
+  }
+
   userPasswordResetData(data) {
     return data
   }
@@ -1205,30 +3045,112 @@ class SmtpService extends NotificationService {
     return { email: data.user_email, ...data }
   }
 
-  processItems_(items, taxRate, currencyCode) {
+  processItems_(items, taxRate, currencyCode, locale) {
     return items.map((i) => {
+      const amounts = { price: Math.round(i.unit_price * (1 + taxRate)) }
       return {
         ...i,
         thumbnail: this.normalizeThumbUrl_(i.thumbnail),
-        price: `${this.humanPrice_(
-          i.unit_price * (1 + taxRate),
-          currencyCode
-        )} ${currencyCode}`,
+        ...this.formatPrices_(amounts, currencyCode, locale),
+        amounts,
       }
     })
   }
 
-  humanPrice_(amount, currency) {
-    if (!amount) {
-      return '0.00'
+  discountDescriptor_(discount, currencyCode, locale) {
+    const { type, value } = discount.rule
+    return {
+      is_giftcard: false,
+      code: discount.code,
+      descriptor:
+        type === 'percentage'
+          ? `${value}%`
+          : this.formatPrices_({ value }, currencyCode, locale).value,
+    }
+  }
+
+  giftCardDescriptor_(giftCard, currencyCode, locale) {
+    return {
+      is_giftcard: true,
+      code: giftCard.code,
+      descriptor: this.formatPrices_(
+        { value: giftCard.value },
+        currencyCode,
+        locale
+      ).value,
     }
+  }
 
-    const normalized = humanizeAmount(amount, currency)
-    return normalized.toFixed(
-      zeroDecimalCurrencies.includes(currency.toLowerCase()) ? 0 : 2
+  /**
+   * Formats amounts for the locale of the recipient, `defaultLocale` when the
+   * locale is unknown.
+   * @param {Object} amounts - amounts in the smallest unit of the currency,
+   *    by name
+   * @param {string} currencyCode - currency of the amounts
+   * @param {string} locale - locale of the recipient
+   * @return {Object} the formatted amounts, by name
+   */
+  formatPrices_(amounts, currencyCode, locale) {
+    return Object.fromEntries(
+      Object.entries(amounts).map(([name, amount]) => [
+        name,
+        formatMoney(
+          amount,
+          currencyCode,
+          locale || this.options_.defaultLocale
+        ),
+      ])
     )
   }
 
+  /**
+   * Formats a timestamp for the locale of the recipient in the time zone of
+   * the store.
+   * @param {Date|string|number} value - the timestamp
+   * @param {string} locale - locale of the recipient, `defaultLocale` when
+   *    unknown
+   * @param {string|Object} format - name of a format of `dateFormats` or
+   *    `Intl.DateTimeFormat` options
+   * @return {string} the formatted timestamp
+   */
+  formatDate_(value, locale, format = 'default') {
+    const options =
+      typeof format === 'string' ? this.options_.dateFormats[format] : format
+    if (!options) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `Unknown date format "${format}", configured formats are: ${Object.keys(
+          this.options_.dateFormats
+        ).join(', ')}`
+      )
+    }
+
+    return formatDate(value, locale || this.options_.defaultLocale, {
+      timeZone: this.options_.timezone,
+      ...options,
+    })
+  }
+
+  /**
+   * Formats the price of a line item before and after discounts, keeping the
+   * raw amounts in `amounts`.
+   * @param {Object} totals - totals of the line item, with taxes
+   * @param {number} quantity - quantity of the line item
+   * @param {string} currencyCode - currency of the totals
+   * @param {string} locale - locale of the recipient
+   * @return {Object} price, discounted_price and amounts
+   */
+  formatItemPrices_(totals, quantity, currencyCode, locale) {
+    const amounts = {
+      price: Math.round(totals.original_total / quantity),
+      discounted_price: Math.round(totals.total / quantity),
+    }
+    return {
+      ...this.formatPrices_(amounts, currencyCode, locale),
+      amounts,
+    }
+  }
+
   normalizeThumbUrl_(url) {
     if (!url) {
       return null
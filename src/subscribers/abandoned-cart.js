@@ -0,0 +1,24 @@
+import { parseDelay } from '../utils/schedule'
+
+class AbandonedCartSubscriber {
+  constructor({ smtpService, logger }, options) {
+    if (!smtpService.getTemplateNameForEvent('cart.abandoned')) {
+      return
+    }
+
+    const interval = parseDelay(options?.abandonedCart?.checkInterval || '1h')
+
+    this.timer_ = setInterval(() => {
+      smtpService.sendAbandonedCartReminders().catch((err) => {
+        logger.error(
+          `smtp: failed to send abandoned cart reminders: ${err.message}`
+        )
+      })
+    }, interval)
+
+    // the timer must not keep the process alive on shutdown
+    this.timer_.unref()
+  }
+}
+
+export default AbandonedCartSubscriber
@@ -0,0 +1,16 @@
+class ScheduledEmailSubscriber {
+  constructor({ smtpService, logger }, options) {
+    const interval = options?.schedulerInterval || 60000
+
+    this.timer_ = setInterval(() => {
+      smtpService.sendScheduledEmails().catch((err) => {
+        logger.error(`smtp: failed to send scheduled emails: ${err.message}`)
+      })
+    }, interval)
+
+    // the timer must not keep the process alive on shutdown
+    this.timer_.unref()
+  }
+}
+
+export default ScheduledEmailSubscriber
@@ -0,0 +1,190 @@
+import { classifyBounce, parseDsn, parseWebhookEvents } from '../dsn'
+
+const bounce = ({ action = 'failed', status = '5.1.1' } = {}) =>
+  [
+    'From: MAILER-DAEMON@mx.example.com',
+    'Subject: Undelivered Mail Returned to Sender',
+    'Content-Type: multipart/report; report-type=delivery-status; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.com',
+    '',
+    'Final-Recipient: rfc822; Jane@Example.com',
+    `Action: ${action}`,
+    `Status: ${status}`,
+    'Diagnostic-Code: smtp; 550 5.1.1 user unknown,',
+    '  mailbox does not exist',
+    '',
+    '--b',
+    'Content-Type: text/rfc822-headers',
+    '',
+    'Message-ID: <abc@shop.example.com>',
+    'To: jane@example.com',
+    '',
+    '--b--',
+  ].join('\r\n')
+
+describe('classifyBounce', () => {
+  it('classifies permanent failures as hard bounces', () => {
+    expect(classifyBounce('failed', '5.1.1')).toEqual('hard_bounce')
+  })
+
+  it('classifies delays and temporary failures as soft bounces', () => {
+    expect(classifyBounce('delayed', '5.0.0')).toEqual('soft_bounce')
+    expect(classifyBounce('Failed', '4.2.2')).toEqual('soft_bounce')
+  })
+
+  it('ignores delivered messages', () => {
+    expect(classifyBounce('delivered', '2.0.0')).toBeNull()
+    expect(classifyBounce('Relayed', '2.0.0')).toBeNull()
+  })
+})
+
+describe('parseDsn', () => {
+  it('reads a bounce with the Message-ID of the returned message', () => {
+    expect(parseDsn(bounce())).toEqual([
+      {
+        type: 'hard_bounce',
+        email: 'jane@example.com',
+        message_id: '<abc@shop.example.com>',
+        status: '5.1.1',
+        diagnostic: '550 5.1.1 user unknown, mailbox does not exist',
+      },
+    ])
+  })
+
+  it('reads a soft bounce', () => {
+    const [report] = parseDsn(bounce({ action: 'delayed', status: '4.4.1' }))
+    expect(report.type).toEqual('soft_bounce')
+    expect(report.status).toEqual('4.4.1')
+  })
+
+  it('skips recipients the message was delivered to', () => {
+    expect(parseDsn(bounce({ action: 'delivered', status: '2.0.0' }))).toEqual(
+      []
+    )
+  })
+
+  it('reads one report per failed recipient', () => {
+    const raw = [
+      'Content-Type: message/delivery-status',
+      '',
+      'Final-Recipient: rfc822; a@example.com',
+      'Action: failed',
+      'Status: 5.1.1',
+      '',
+      'Original-Recipient: rfc822; b@example.com',
+      'Action: delayed',
+      'Status: 4.4.7',
+    ].join('\n')
+
+    expect(parseDsn(raw).map(({ type, email }) => [type, email])).toEqual([
+      ['hard_bounce', 'a@example.com'],
+      ['soft_bounce', 'b@example.com'],
+    ])
+  })
+
+  it('reads an abuse feedback report as a complaint', () => {
+    const raw = [
+      'Content-Type: message/feedback-report',
+      '',
+      'Feedback-Type: abuse',
+      'Original-Rcpt-To: rfc822; jane@example.com',
+      '',
+      'Content-Type: message/rfc822',
+      'Message-ID: <abc@shop.example.com>',
+      'To: Jane <jane@example.com>',
+    ].join('\n')
+
+    expect(parseDsn(raw)).toEqual([
+      {
+        type: 'complaint',
+        email: 'jane@example.com',
+        message_id: '<abc@shop.example.com>',
+        status: null,
+        diagnostic: 'abuse',
+      },
+    ])
+  })
+
+  it('falls back to the recipient of the returned message of a complaint', () => {
+    const raw = [
+      'Feedback-Type: abuse',
+      '',
+      'Content-Type: message/rfc822',
+      'To: jane@example.com',
+    ].join('\n')
+
+    expect(parseDsn(raw)[0].email).toEqual('jane@example.com')
+  })
+
+  it('returns nothing for other messages', () => {
+    expect(parseDsn('Subject: hello\n\nHello there')).toEqual([])
+  })
+})
+
+describe('parseWebhookEvents', () => {
+  it('reads bounces and complaints', () => {
+    expect(
+      parseWebhookEvents([
+        {
+          type: 'bounce',
+          bounce_type: 'soft',
+          email: 'A@example.com',
+          message_id: '<a@x>',
+          status: '4.2.2',
+          diagnostic: 'mailbox full',
+        },
+        { type: 'complaint', recipient: 'b@example.com' },
+      ])
+    ).toEqual([
+      {
+        type: 'soft_bounce',
+        email: 'a@example.com',
+        message_id: '<a@x>',
+        status: '4.2.2',
+        diagnostic: 'mailbox full',
+      },
+      {
+        type: 'complaint',
+        email: 'b@example.com',
+        message_id: null,
+        status: null,
+        diagnostic: null,
+      },
+    ])
+  })
+
+  it('classifies bounces without a bounce type by their status', () => {
+    const reports = parseWebhookEvents({
+      events: [
+        { type: 'bounce', email: 'a@example.com', status: '4.4.1' },
+        { type: 'bounce', email: 'b@example.com', status: '5.1.1' },
+        { type: 'bounce', bounce_type: 'other', email: 'c@example.com' },
+      ],
+    })
+    expect(reports.map((r) => r.type)).toEqual([
+      'soft_bounce',
+      'hard_bounce',
+      'hard_bounce',
+    ])
+  })
+
+  it('accepts a single event', () => {
+    expect(
+      parseWebhookEvents({ type: 'complaint', email: 'a@example.com' })
+    ).toHaveLength(1)
+  })
+
+  it('skips other events and events without a valid address', () => {
+    expect(
+      parseWebhookEvents([
+        { type: 'delivered', email: 'a@example.com' },
+        { type: 'bounce', email: 'not an address' },
+        null,
+      ])
+    ).toEqual([])
+  })
+})
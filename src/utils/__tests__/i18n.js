@@ -0,0 +1,135 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createTranslator, getLocaleFallbacks } from '../i18n'
+
+describe('getLocaleFallbacks', () => {
+  it('lists the locale and its parents, most specific first', () => {
+    expect(getLocaleFallbacks('zh_Hant_TW')).toEqual([
+      'zh-Hant-TW',
+      'zh-Hant',
+      'zh',
+    ])
+  })
+
+  it('ignores malformed locales', () => {
+    expect(getLocaleFallbacks('../de')).toEqual([])
+    expect(getLocaleFallbacks(undefined)).toEqual([])
+  })
+})
+
+describe('createTranslator', () => {
+  let directory
+  let translate
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'smtp-i18n-'))
+    fs.writeFileSync(
+      path.join(directory, 'en.json'),
+      JSON.stringify({
+        greeting: 'Hello {name}',
+        order: { shipped: 'Your order has shipped' },
+        items: { one: '{count} item', other: '{count} items' },
+        cart: {
+          zero: 'Your cart is empty',
+          one: '1 item',
+          other: '{count} items',
+        },
+      })
+    )
+    fs.writeFileSync(
+      path.join(directory, 'de.yml'),
+      [
+        'greeting: Hallo {name}',
+        'items:',
+        '  one: "{count} Artikel"',
+        '  other: "{count} Artikel"',
+      ].join('\n')
+    )
+    fs.writeFileSync(
+      path.join(directory, 'pl.json'),
+      JSON.stringify({
+        items: {
+          one: '{count} produkt',
+          few: '{count} produkty',
+          many: '{count} produktów',
+          other: '{count} produktu',
+        },
+        reviews: { one: '{count} opinia', other: '{count} opinii' },
+      })
+    )
+    fs.writeFileSync(
+      path.join(directory, 'de-AT.json'),
+      JSON.stringify({ greeting: 'Servus {name}' })
+    )
+
+    translate = createTranslator({ directory, defaultLocale: 'en' })
+  })
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true })
+  })
+
+  it('replaces placeholders with the params', () => {
+    expect(translate('en', 'greeting', { name: 'Jane' })).toEqual('Hello Jane')
+  })
+
+  it('keeps placeholders without a param', () => {
+    expect(translate('en', 'greeting')).toEqual('Hello {name}')
+  })
+
+  it('reads nested keys', () => {
+    expect(translate('en', 'order.shipped')).toEqual('Your order has shipped')
+  })
+
+  it('falls back to the parent locale', () => {
+    expect(translate('de-AT', 'greeting', { name: 'Jane' })).toEqual(
+      'Servus Jane'
+    )
+    expect(translate('de-CH', 'greeting', { name: 'Jane' })).toEqual(
+      'Hallo Jane'
+    )
+  })
+
+  it('falls back to the default locale for missing keys', () => {
+    expect(translate('de-AT', 'order.shipped')).toEqual(
+      'Your order has shipped'
+    )
+    expect(translate('fr', 'greeting', { name: 'Jane' })).toEqual('Hello Jane')
+    expect(translate(undefined, 'greeting', { name: 'Jane' })).toEqual(
+      'Hello Jane'
+    )
+  })
+
+  it('returns the key when no catalog has it', () => {
+    expect(translate('de', 'missing.key')).toEqual('missing.key')
+    expect(translate('en', 'order')).toEqual('order')
+  })
+
+  it('picks the plural form of the count', () => {
+    expect(translate('en', 'items', { count: 1 })).toEqual('1 item')
+    expect(translate('en', 'items', { count: 3 })).toEqual('3 items')
+    expect(translate('de', 'items', { count: 1 })).toEqual('1 Artikel')
+  })
+
+  it('uses the plural rules of the locale of the message', () => {
+    expect(translate('pl', 'items', { count: 1 })).toEqual('1 produkt')
+    expect(translate('pl', 'items', { count: 3 })).toEqual('3 produkty')
+    expect(translate('pl', 'items', { count: 5 })).toEqual('5 produktów')
+    expect(translate('pl', 'items', { count: 1.5 })).toEqual('1.5 produktu')
+  })
+
+  it('uses the zero form for a count of 0', () => {
+    expect(translate('en', 'cart', { count: 0 })).toEqual('Your cart is empty')
+    expect(translate('en', 'items', { count: 0 })).toEqual('0 items')
+  })
+
+  it('uses the other form without a count', () => {
+    expect(translate('en', 'items')).toEqual('{count} items')
+    expect(translate('en', 'items', { count: 'many' })).toEqual('many items')
+  })
+
+  it('falls back to the other form when the category is missing', () => {
+    expect(translate('pl', 'reviews', { count: 3 })).toEqual('3 opinii')
+  })
+})
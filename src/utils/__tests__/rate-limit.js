@@ -0,0 +1,102 @@
+import { createRateLimiter } from '../rate-limit'
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise((r) => (resolve = r))
+  return { promise, resolve }
+}
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('runs tasks right away without limits', async () => {
+    const schedule = createRateLimiter()
+    const started = []
+    const results = [1, 2, 3].map((n) =>
+      schedule(async () => {
+        started.push(n)
+        return n * 2
+      })
+    )
+
+    await expect(Promise.all(results)).resolves.toEqual([2, 4, 6])
+    expect(started).toEqual([1, 2, 3])
+  })
+
+  it('starts tasks in order at the configured rate', async () => {
+    const schedule = createRateLimiter({ messagesPerSecond: 2 })
+    const started = []
+    const results = [1, 2, 3, 4].map((n) =>
+      schedule(async () => started.push(n))
+    )
+
+    await jest.advanceTimersByTimeAsync(0)
+    expect(started).toEqual([1])
+
+    await jest.advanceTimersByTimeAsync(500)
+    expect(started).toEqual([1, 2])
+
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(started).toEqual([1, 2, 3, 4])
+    await Promise.all(results)
+  })
+
+  it('starts a burst of tasks after being idle', async () => {
+    const schedule = createRateLimiter({ messagesPerSecond: 1, burst: 3 })
+    const started = []
+    ;[1, 2, 3, 4].forEach((n) => schedule(async () => started.push(n)))
+
+    await jest.advanceTimersByTimeAsync(0)
+    expect(started).toEqual([1, 2, 3])
+
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(started).toEqual([1, 2, 3, 4])
+  })
+
+  it('keeps at most maxConcurrent tasks pending', async () => {
+    const schedule = createRateLimiter({ maxConcurrent: 2 })
+    const tasks = [1, 2, 3, 4].map(() => deferred())
+    const started = []
+    const results = tasks.map((task, i) =>
+      schedule(() => {
+        started.push(i + 1)
+        return task.promise
+      })
+    )
+
+    await jest.advanceTimersByTimeAsync(0)
+    expect(started).toEqual([1, 2])
+
+    tasks[1].resolve('second')
+    await jest.advanceTimersByTimeAsync(0)
+    expect(started).toEqual([1, 2, 3])
+
+    tasks[0].resolve('first')
+    tasks[2].resolve('third')
+    tasks[3].resolve('fourth')
+    await expect(Promise.all(results)).resolves.toEqual([
+      'first',
+      'second',
+      'third',
+      'fourth',
+    ])
+    expect(started).toEqual([1, 2, 3, 4])
+  })
+
+  it('keeps going after a task failed', async () => {
+    const schedule = createRateLimiter({ maxConcurrent: 1 })
+    const failed = schedule(async () => {
+      throw new Error('421 try again later')
+    })
+    const next = schedule(async () => 'sent')
+
+    await expect(failed).rejects.toThrow('421 try again later')
+    await expect(next).resolves.toEqual('sent')
+  })
+})
@@ -0,0 +1,74 @@
+import { parseDelay, resolveSendAt } from '../schedule'
+
+// the package index loads the Medusa container, which needs awilix from the
+// Medusa server
+jest.mock('medusa-core-utils', () => {
+  class MedusaError extends Error {
+    constructor(type, message) {
+      super(message)
+      this.type = type
+    }
+  }
+  MedusaError.Types = { INVALID_DATA: 'invalid_data' }
+  return { MedusaError }
+})
+
+describe('parseDelay', () => {
+  it('reads milliseconds', () => {
+    expect(parseDelay(1500)).toEqual(1500)
+    expect(parseDelay('1500')).toEqual(1500)
+  })
+
+  it('reads durations', () => {
+    expect(parseDelay('30s')).toEqual(30 * 1000)
+    expect(parseDelay('30m')).toEqual(30 * 60 * 1000)
+    expect(parseDelay(' 2 h ')).toEqual(2 * 60 * 60 * 1000)
+    expect(parseDelay('1.5d')).toEqual(36 * 60 * 60 * 1000)
+  })
+
+  it('throws for other values', () => {
+    expect(() => parseDelay('2 weeks')).toThrow('Invalid delay "2 weeks"')
+    expect(() => parseDelay('-5m')).toThrow()
+    expect(() => parseDelay('')).toThrow()
+    expect(() => parseDelay(null)).toThrow()
+  })
+})
+
+describe('resolveSendAt', () => {
+  it('reads send_at', () => {
+    expect(resolveSendAt({ send_at: '2030-01-01T10:00:00Z' })).toEqual(
+      new Date('2030-01-01T10:00:00Z')
+    )
+  })
+
+  it('prefers send_at over delay', () => {
+    expect(
+      resolveSendAt({ send_at: '2030-01-01T10:00:00Z', delay: '1h' })
+    ).toEqual(new Date('2030-01-01T10:00:00Z'))
+  })
+
+  it('adds the delay to the current time', () => {
+    jest.useFakeTimers({ now: new Date('2030-01-01T10:00:00Z') })
+    try {
+      expect(resolveSendAt({ delay: '2h' })).toEqual(
+        new Date('2030-01-01T12:00:00Z')
+      )
+      expect(resolveSendAt({ delay: 0 })).toEqual(
+        new Date('2030-01-01T10:00:00Z')
+      )
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  it('returns null when the email is not delayed', () => {
+    expect(resolveSendAt()).toBeNull()
+    expect(resolveSendAt({ delay: null })).toBeNull()
+  })
+
+  it('throws for an invalid send_at', () => {
+    expect(() => resolveSendAt({ send_at: 'tomorrow' })).toThrow(
+      'Invalid send_at "tomorrow"'
+    )
+  })
+})
@@ -0,0 +1,53 @@
+import crypto from 'crypto'
+import { signToken, verifyToken } from '../tokens'
+
+describe('signToken', () => {
+  it('creates a token verifyToken reads back', () => {
+    const payload = { email: 'jane@example.com', scope: 'restock', n: 1 }
+    const token = signToken(payload, 'secret')
+
+    expect(token).toMatch(/^[\w-]+\.[\w-]+$/)
+    expect(verifyToken(token, 'secret')).toEqual(payload)
+  })
+})
+
+describe('verifyToken', () => {
+  const token = signToken({ email: 'jane@example.com' }, 'secret')
+
+  it('refuses a token signed with another secret', () => {
+    expect(verifyToken(token, 'other')).toBeNull()
+  })
+
+  it('refuses a token whose payload was changed', () => {
+    const [, signature] = token.split('.')
+    const body = Buffer.from(
+      JSON.stringify({ email: 'john@example.com' })
+    ).toString('base64url')
+
+    expect(verifyToken(`${body}.${signature}`, 'secret')).toBeNull()
+  })
+
+  it('refuses a token whose signature was changed', () => {
+    const [body, signature] = token.split('.')
+    const changed = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`
+
+    expect(verifyToken(`${body}.${changed}`, 'secret')).toBeNull()
+    expect(verifyToken(`${body}.`, 'secret')).toBeNull()
+  })
+
+  it('refuses malformed tokens', () => {
+    expect(verifyToken('no-signature', 'secret')).toBeNull()
+    expect(verifyToken(undefined, 'secret')).toBeNull()
+    expect(verifyToken({}, 'secret')).toBeNull()
+  })
+
+  it('refuses a signed body that is not JSON', () => {
+    const body = Buffer.from('not json').toString('base64url')
+    const signature = crypto
+      .createHmac('sha256', 'secret')
+      .update(body)
+      .digest('base64url')
+
+    expect(verifyToken(`${body}.${signature}`, 'secret')).toBeNull()
+  })
+})
@@ -0,0 +1,35 @@
+/**
+ * Normalizes the recipients of a nodemailer message to a list of addresses.
+ * Accepts a comma separated string, an address object or an array of either.
+ * @param {string|Object|Array} recipients - nodemailer `to`, `cc` or `bcc`
+ * @return {string[]} the addresses
+ */
+export function toAddressList(recipients) {
+  if (!recipients) {
+    return []
+  }
+
+  const list = Array.isArray(recipients) ? recipients : [recipients]
+  return list
+    .flatMap((r) => (typeof r === 'string' ? r.split(',') : [r?.address]))
+    .map((a) => a && a.trim())
+    .filter(Boolean)
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Lower cases and trims an address, returns null when it is not an email.
+ * The address of a named address like `Jane <jane@example.com>` is used.
+ * @param {string} address - email address
+ * @return {string|null} the normalized address
+ */
+export function normalizeAddress(address) {
+  if (typeof address !== 'string') {
+    return null
+  }
+
+  const named = address.match(/<([^<>]+)>\s*$/)
+  const normalized = (named ? named[1] : address).trim().toLowerCase()
+  return EMAIL_PATTERN.test(normalized) ? normalized : null
+}
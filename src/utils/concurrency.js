@@ -0,0 +1,25 @@
+/**
+ * Maps over items with at most `limit` promises pending at a time.
+ * @param {Array} items - items to map
+ * @param {number} limit - maximum number of concurrent calls
+ * @param {Function} fn - async mapper, called with the item and its index
+ * @return {Promise<Array>} the results, in the order of the items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit || 1, items.length)) },
+    worker
+  )
+  await Promise.all(workers)
+  return results
+}
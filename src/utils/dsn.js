@@ -0,0 +1,172 @@
+import { normalizeAddress } from './addresses'
+
+/**
+ * Reads the header fields of a block of lines, continuation lines are
+ * unfolded. Field names are lower cased, repeated fields keep the first value.
+ * @param {string[]} lines - lines of the block
+ * @return {Object} the fields
+ */
+function parseFields(lines) {
+  const fields = {}
+  let last
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && last) {
+      fields[last] += ` ${line.trim()}`
+      continue
+    }
+
+    const match = line.match(/^([\w-]+):\s*(.*)$/)
+    if (!match) {
+      last = undefined
+      continue
+    }
+
+    last = match[1].toLowerCase()
+    if (fields[last] === undefined) {
+      fields[last] = match[2].trim()
+    } else {
+      last = undefined
+    }
+  }
+  return fields
+}
+
+/**
+ * Removes the address type of a DSN recipient field, e.g. `rfc822; a@b.c`.
+ */
+function stripAddressType(value) {
+  return value ? value.replace(/^[\w-]+\s*;\s*/, '') : value
+}
+
+/**
+ * Returns the Message-ID of the message returned with a report, which lives
+ * in a `message/rfc822` or `text/rfc822-headers` part after the report.
+ */
+function findOriginalMessageId(raw) {
+  const returned = raw.split(
+    /content-type:\s*(?:message\/rfc822|text\/rfc822-headers)[^\n]*\n/i
+  )[1]
+  const match = returned?.match(/^message-id:\s*(<[^>\s]+>|\S+)/im)
+  return match ? match[1] : null
+}
+
+/**
+ * Classifies a bounce from its DSN action and status code, e.g. `5.1.1`.
+ * @param {string} action - failed, delayed, delivered, relayed or expanded
+ * @param {string} status - enhanced status code
+ * @return {string|null} hard_bounce, soft_bounce or null when the message
+ *    was delivered
+ */
+export function classifyBounce(action, status) {
+  const normalizedAction = action?.toLowerCase()
+  if (['delivered', 'relayed', 'expanded'].includes(normalizedAction)) {
+    return null
+  }
+
+  if (normalizedAction === 'delayed' || String(status).startsWith('4')) {
+    return 'soft_bounce'
+  }
+
+  return 'hard_bounce'
+}
+
+/**
+ * Parses a raw delivery status notification (RFC 3464) or abuse feedback
+ * report (RFC 5965) into delivery reports.
+ * @param {string} raw - the full report message
+ * @return {Object[]} the reports, with type (hard_bounce, soft_bounce or
+ *    complaint), email, message_id, status and diagnostic
+ */
+export function parseDsn(raw) {
+  const text = String(raw).replace(/\r\n/g, '\n')
+  const messageId = findOriginalMessageId(text)
+  const blocks = text.split(/\n\s*\n/).map((block) => block.split('\n'))
+
+  const feedback = blocks
+    .map(parseFields)
+    .find((fields) => fields['feedback-type'])
+  if (feedback) {
+    const email = normalizeAddress(
+      stripAddressType(feedback['original-rcpt-to']) ||
+        text.split(/content-type:\s*message\/rfc822/i)[1]?.match(
+          /^to:\s*(.+)$/im
+        )?.[1]
+    )
+
+    if (!email) {
+      return []
+    }
+
+    return [
+      {
+        type: 'complaint',
+        email,
+        message_id: messageId,
+        status: null,
+        diagnostic: feedback['feedback-type'],
+      },
+    ]
+  }
+
+  const reports = []
+  for (const block of blocks) {
+    const fields = parseFields(block)
+    const recipient = fields['final-recipient'] || fields['original-recipient']
+    if (!recipient || !fields.action) {
+      continue
+    }
+
+    const type = classifyBounce(fields.action, fields.status)
+    const email = normalizeAddress(stripAddressType(recipient))
+    if (!type || !email) {
+      continue
+    }
+
+    reports.push({
+      type,
+      email,
+      message_id: messageId,
+      status: fields.status || null,
+      diagnostic: stripAddressType(fields['diagnostic-code']) || null,
+    })
+  }
+  return reports
+}
+
+/**
+ * Converts the events of a JSON webhook into delivery reports. An event looks
+ * like `{ type: "bounce", bounce_type: "hard", email, message_id, status,
+ * diagnostic }`, `type` may also be `complaint`. Bounces without
+ * `bounce_type` are classified by their status code.
+ * @param {Object|Object[]} body - one or more events
+ * @return {Object[]} the reports
+ */
+export function parseWebhookEvents(body) {
+  const events = Array.isArray(body) ? body : body?.events || [body]
+
+  return events
+    .filter(Boolean)
+    .map((event) => {
+      const email = normalizeAddress(event.email || event.recipient)
+      const base = {
+        email,
+        message_id: event.message_id || null,
+        status: event.status || null,
+        diagnostic: event.diagnostic || null,
+      }
+
+      if (event.type === 'complaint') {
+        return { ...base, type: 'complaint' }
+      }
+
+      if (event.type === 'bounce') {
+        const type = event.bounce_type
+          ? `${event.bounce_type === 'soft' ? 'soft' : 'hard'}_bounce`
+          : classifyBounce('failed', event.status)
+        return { ...base, type }
+      }
+
+      return null
+    })
+    .filter((report) => report?.email)
+}
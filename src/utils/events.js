@@ -0,0 +1,51 @@
+/**
+ * Events sent through the Medusa notification service.
+ */
+export const NOTIFICATION_EVENTS = [
+  'order.shipment_created',
+  'order.gift_card_created',
+  'gift_card.created',
+  'order.placed',
+  'order.canceled',
+  'customer.password_reset',
+  'claim.shipment_created',
+  'swap.shipment_created',
+  'swap.created',
+  'order.items_returned',
+  'order.return_requested',
+]
+
+/**
+ * Events the plugin sends emails for by itself, either subscribed to or
+ * emitted by the plugin, like `gift_card.delivery` and `cart.abandoned`.
+ */
+export const HANDLED_EVENTS = [
+  ...NOTIFICATION_EVENTS,
+  'invite.created',
+  'restock-notification.restocked',
+  'gift_card.delivery',
+  'cart.abandoned',
+]
+
+/**
+ * Keys of the event payload the data of each event is fetched with. Password
+ * resets and invites have no entity to fetch, their payload is the data.
+ */
+export const EVENT_DATA_KEYS = {
+  'order.placed': ['id'],
+  'order.canceled': ['id'],
+  'order.shipment_created': ['id', 'fulfillment_id'],
+  'order.gift_card_created': ['id'],
+  'gift_card.created': ['id'],
+  'order.return_requested': ['id', 'return_id'],
+  'order.items_returned': ['id', 'return_id'],
+  'claim.shipment_created': ['id', 'fulfillment_id'],
+  'swap.created': ['id'],
+  'swap.received': ['id'],
+  'swap.shipment_created': ['id', 'fulfillment_id'],
+  'customer.password_reset': ['email', 'token'],
+  'user.password_reset': ['email', 'token'],
+  'invite.created': ['user_email', 'token'],
+  'restock-notification.restocked': ['variant_id'],
+  'cart.abandoned': ['id'],
+}
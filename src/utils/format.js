@@ -0,0 +1,56 @@
+import { humanizeAmount } from 'medusa-core-utils'
+
+/**
+ * Turns a locale as found in cart contexts, e.g. `de_DE`, into a locale
+ * `Intl` accepts.
+ * @param {string} locale - locale of the recipient
+ * @return {string|undefined} the canonical locale, undefined when the
+ *    locale is missing or malformed
+ */
+export function toIntlLocale(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return undefined
+  }
+
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0]
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Formats an amount for a locale, e.g. 1250 EUR is `12,50 €` in German and
+ * `€12.50` in English.
+ * @param {number} amount - amount in the smallest unit of the currency, as
+ *    stored by Medusa
+ * @param {string} currencyCode - ISO 4217 code of the currency
+ * @param {string} locale - locale of the recipient
+ * @return {string} the formatted amount
+ */
+export function formatMoney(amount, currencyCode, locale) {
+  const currency = currencyCode.toUpperCase()
+  return new Intl.NumberFormat(toIntlLocale(locale), {
+    style: 'currency',
+    currency,
+  }).format(humanizeAmount(amount || 0, currency))
+}
+
+/**
+ * Formats a timestamp for a locale, e.g. `19.10.2026` in German and
+ * `Oct 19, 2026` in English with `{ dateStyle: "medium" }`.
+ * @param {Date|string|number} value - the timestamp
+ * @param {string} locale - locale of the recipient
+ * @param {Object} options - `Intl.DateTimeFormat` options, `timeZone`
+ *    included
+ * @return {string} the formatted timestamp, empty for a missing or invalid
+ *    timestamp
+ */
+export function formatDate(value, locale, options) {
+  const date = value instanceof Date ? value : new Date(value)
+  if (value === null || value === undefined || isNaN(date.getTime())) {
+    return ''
+  }
+
+  return new Intl.DateTimeFormat(toIntlLocale(locale), options).format(date)
+}
@@ -0,0 +1,159 @@
+import fs from 'fs'
+import path from 'path'
+import yaml from 'js-yaml'
+
+const parsers = {
+  '.json': (content) => JSON.parse(content),
+  '.yml': (content) => yaml.load(content),
+  '.yaml': (content) => yaml.load(content),
+}
+
+// BCP-47 like tags, e.g. "de", "de-AT" or "zh_Hant_TW". Locales come from the
+// cart context, which customers can set, and are used in template paths
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/
+
+/**
+ * @param {string} locale - locale as extracted from the cart context
+ * @return {boolean} whether the locale is a well-formed language tag
+ */
+function isValidLocale(locale) {
+  return typeof locale === 'string' && LOCALE_PATTERN.test(locale.trim())
+}
+
+/**
+ * Returns the locales to try for a given locale, most specific first.
+ * e.g. "de-AT" gives ["de-AT", "de"]
+ * @param {string} locale - locale as extracted from the cart context
+ * @return {string[]} candidate locales, none for a malformed locale
+ */
+export function getLocaleFallbacks(locale) {
+  if (!isValidLocale(locale)) {
+    return []
+  }
+
+  const parts = locale.trim().split(/[-_]/).filter(Boolean)
+  const candidates = []
+  for (let i = parts.length; i > 0; i--) {
+    candidates.push(parts.slice(0, i).join('-'))
+  }
+  return candidates
+}
+
+/**
+ * Reads every `<locale>.json`, `<locale>.yml` or `<locale>.yaml` file in a
+ * directory into a map of catalogs keyed by locale.
+ * @param {string} directory - folder holding the message catalogs
+ * @return {Object} catalogs keyed by locale
+ */
+export function loadCatalogs(directory) {
+  const catalogs = {}
+
+  if (!fs.existsSync(directory)) {
+    return catalogs
+  }
+
+  for (const file of fs.readdirSync(directory)) {
+    const ext = path.extname(file).toLowerCase()
+    if (!parsers[ext]) {
+      continue
+    }
+
+    const locale = path.basename(file, path.extname(file))
+    const content = fs.readFileSync(path.join(directory, file), 'utf8')
+    catalogs[locale] = {
+      ...catalogs[locale],
+      ...parsers[ext](content),
+    }
+  }
+
+  return catalogs
+}
+
+const lookup = (catalog, key) => {
+  if (!catalog) {
+    return undefined
+  }
+
+  if (key in catalog) {
+    return catalog[key]
+  }
+
+  return key.split('.').reduce((acc, part) => {
+    if (acc && typeof acc === 'object') {
+      return acc[part]
+    }
+    return undefined
+  }, catalog)
+}
+
+const isPluralForms = (value) =>
+  value &&
+  typeof value === 'object' &&
+  typeof value.other === 'string' &&
+  Object.values(value).every((v) => typeof v === 'string')
+
+const pluralCategory = (locale, count) => {
+  try {
+    return new Intl.PluralRules(locale).select(count)
+  } catch (err) {
+    return new Intl.PluralRules('en').select(count)
+  }
+}
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null
+      ? match
+      : String(params[name])
+  )
+
+/**
+ * Creates a translate function backed by the catalogs in `directory`.
+ *
+ * Messages may contain `{name}` placeholders that are replaced by the params
+ * passed to the translate function. A message can be pluralized by defining
+ * it as an object of plural categories (`zero`, `one`, `few`, `other`, ...)
+ * and passing a `count` param.
+ * @param {Object} options
+ * @param {string} options.directory - folder holding the message catalogs
+ * @param {string} options.defaultLocale - locale used when a key is missing
+ * @return {Function} translate(locale, key, params)
+ */
+export function createTranslator({ directory, defaultLocale }) {
+  const catalogs = loadCatalogs(directory)
+
+  return (locale, key, params = {}) => {
+    const locales = [
+      ...getLocaleFallbacks(locale),
+      ...getLocaleFallbacks(defaultLocale),
+    ]
+
+    let message
+    let messageLocale
+    for (const candidate of locales) {
+      message = lookup(catalogs[candidate], key)
+      if (message !== undefined) {
+        messageLocale = candidate
+        break
+      }
+    }
+
+    if (isPluralForms(message)) {
+      const count = Number(params.count)
+      if (isNaN(count)) {
+        message = message.other
+      } else if (count === 0 && message.zero !== undefined) {
+        message = message.zero
+      } else {
+        message =
+          message[pluralCategory(messageLocale, count)] ?? message.other
+      }
+    }
+
+    if (typeof message !== 'string') {
+      return key
+    }
+
+    return interpolate(message, params)
+  }
+}
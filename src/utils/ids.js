@@ -0,0 +1,13 @@
+import crypto from 'crypto'
+
+/**
+ * Generates the id of a record. Ids start with the time they were generated
+ * at, so they sort in the order the records were created.
+ * @param {string} prefix - prefix telling the kind of record, e.g. `smtpmsg_`
+ * @return {string} the id
+ */
+export function generateId(prefix) {
+  return `${prefix}${Date.now().toString(36)}${crypto
+    .randomBytes(6)
+    .toString('hex')}`
+}
@@ -0,0 +1,69 @@
+/**
+ * Creates a queue that runs tasks no faster than a token bucket allows and
+ * with at most `maxConcurrent` tasks pending at a time. The bucket holds
+ * `burst` tokens and refills `messagesPerSecond` tokens per second, every
+ * task takes one. Tasks start in the order they were queued.
+ * @param {Object} options
+ * @param {number} options.messagesPerSecond - tasks started per second, no
+ *    limit when omitted
+ * @param {number} options.maxConcurrent - tasks pending at a time, no limit
+ *    when omitted
+ * @param {number} options.burst - tasks that may start at once after the
+ *    queue was idle, defaults to 1
+ * @return {Function} schedule(task), returns a promise of the result of the
+ *    async task
+ */
+export function createRateLimiter({
+  messagesPerSecond,
+  maxConcurrent,
+  burst = 1,
+} = {}) {
+  const rate = messagesPerSecond > 0 ? messagesPerSecond : Infinity
+  const concurrency = maxConcurrent > 0 ? maxConcurrent : Infinity
+  const capacity = Math.max(1, burst)
+
+  const queue = []
+  let tokens = capacity
+  let refilledAt = Date.now()
+  let active = 0
+  let timer = null
+
+  const refill = () => {
+    const now = Date.now()
+    tokens =
+      rate === Infinity
+        ? Infinity
+        : Math.min(capacity, tokens + ((now - refilledAt) / 1000) * rate)
+    refilledAt = now
+  }
+
+  const drain = () => {
+    refill()
+    while (queue.length && active < concurrency && tokens >= 1) {
+      const { task, resolve, reject } = queue.shift()
+      tokens -= 1
+      active += 1
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1
+          drain()
+        })
+    }
+
+    // wait for the next token, a finished task drains the queue by itself
+    if (queue.length && active < concurrency && !timer) {
+      timer = setTimeout(() => {
+        timer = null
+        drain()
+      }, Math.ceil(((1 - tokens) / rate) * 1000))
+    }
+  }
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      drain()
+    })
+}
@@ -0,0 +1,77 @@
+// error codes of nodemailer and node sockets that are worth another attempt
+const TRANSIENT_CODES = [
+  'ECONNECTION',
+  'ETIMEDOUT',
+  'ESOCKET',
+  'EDNS',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+]
+
+/**
+ * Tells whether a failed send may succeed when tried again. SMTP 4xx replies
+ * and connection problems are transient, 5xx replies and everything else
+ * (rendering errors, invalid recipients, authentication) are permanent.
+ * An email that failed with several transports is retried when any of them
+ * failed transiently.
+ * @param {Error} err - error thrown by nodemailer
+ * @return {boolean} whether the error is transient
+ */
+export function isTransientError(err) {
+  if (!err) {
+    return false
+  }
+
+  return (err.transportErrors || [err]).some((e) =>
+    e.responseCode
+      ? e.responseCode >= 400 && e.responseCode < 500
+      : TRANSIENT_CODES.includes(e.code)
+  )
+}
+
+/**
+ * Extracts the reply code from an SMTP response like "250 2.0.0 OK".
+ * @param {string} response - SMTP response
+ * @return {number|null} the reply code
+ */
+export function parseResponseCode(response) {
+  const match = typeof response === 'string' && response.match(/^\d{3}/)
+  return match ? Number(match[0]) : null
+}
+
+/**
+ * Exponential backoff delay before the next attempt.
+ * @param {number} attempt - the attempt that just failed, starting at 1
+ * @param {Object} options - initialDelay, factor and maxDelay in ms
+ * @return {number} delay in ms
+ */
+export function getBackoffDelay(attempt, { initialDelay, factor, maxDelay }) {
+  return Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay)
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Prepares a rendered message to be stored until it is retried. The content
+ * of buffer attachments is stored base64 encoded.
+ * @param {Object} message - the nodemailer message
+ * @return {Object} the message, serializable as json
+ */
+export function toStoredMessage(message) {
+  if (!message.attachments) {
+    return message
+  }
+
+  return {
+    ...message,
+    attachments: message.attachments.map((a) =>
+      Buffer.isBuffer(a.content)
+        ? { ...a, content: a.content.toString('base64'), encoding: 'base64' }
+        : a
+    ),
+  }
+}
@@ -0,0 +1,55 @@
+import { MedusaError } from 'medusa-core-utils'
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+}
+
+/**
+ * Parses a delay given in milliseconds or as a duration like "30m", "2h" or "3d".
+ * @param {number|string} delay - the delay
+ * @return {number} the delay in milliseconds
+ */
+export function parseDelay(delay) {
+  if (typeof delay === 'number') {
+    return delay
+  }
+
+  const match = String(delay)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([smhd])?$/)
+  if (!match) {
+    throw new MedusaError(
+      MedusaError.Types.INVALID_DATA,
+      `Invalid delay "${delay}", use milliseconds or a duration like 30m, 2h or 3d`
+    )
+  }
+
+  return Number(match[1]) * (match[2] ? UNITS[match[2]] : 1)
+}
+
+/**
+ * Returns when an email should be sent from its `send_at` or `delay` option.
+ * @param {Object} options - send_at (date) or delay
+ * @return {Date|null} the send date, null when the email is not delayed
+ */
+export function resolveSendAt({ send_at, delay } = {}) {
+  if (send_at) {
+    const date = new Date(send_at)
+    if (isNaN(date.getTime())) {
+      throw new MedusaError(
+        MedusaError.Types.INVALID_DATA,
+        `Invalid send_at "${send_at}"`
+      )
+    }
+    return date
+  }
+
+  if (delay !== undefined && delay !== null) {
+    return new Date(Date.now() + parseDelay(delay))
+  }
+
+  return null
+}
@@ -0,0 +1,59 @@
+import crypto from 'crypto'
+
+const sign = (body, secret) =>
+  crypto.createHmac('sha256', secret).update(body).digest('base64url')
+
+/**
+ * Creates a tamper proof token holding a payload, e.g. for unsubscribe links.
+ * @param {Object} payload - data to put in the token
+ * @param {string} secret - key used to sign the token
+ * @return {string} the token
+ */
+export function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  return `${body}.${sign(body, secret)}`
+}
+
+/**
+ * Reads the payload of a token created with `signToken`.
+ * @param {string} token - the token
+ * @param {string} secret - key the token was signed with
+ * @return {Object|null} the payload, null when the token is invalid
+ */
+export function verifyToken(token, secret) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null
+  }
+
+  const [body, signature] = token.split('.')
+  const expected = Buffer.from(sign(body, secret))
+  const actual = Buffer.from(signature || '')
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Compares two secrets in constant time.
+ * @param {string} actual - the secret received
+ * @param {string} expected - the secret configured
+ * @return {boolean} whether they are equal
+ */
+export function secretsMatch(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') {
+    return false
+  }
+
+  const a = crypto.createHash('sha256').update(actual).digest()
+  const b = crypto.createHash('sha256').update(expected).digest()
+  return crypto.timingSafeEqual(a, b)
+}